@@ -0,0 +1,156 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+jest
+  .dontMock('../blameCache.js')
+  .dontMock('../directories.js')
+  .dontMock('child_process')
+  .dontMock('crypto')
+  .dontMock('fs')
+  .dontMock('os')
+  .dontMock('path');
+
+require.requireActual('babel-polyfill');
+var BlameCache = require('../blameCache.js');
+var childProcess = require('child_process');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+describe('BlameCache', function() {
+  var root;
+
+  beforeEach(function() {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'mention-bot-test-'));
+  });
+
+  afterEach(function() {
+    childProcess.execFileSync('rm', ['-rf', root]);
+  });
+
+  // Blames of 30 bytes, so that the sizes are easy to add up.
+  function blame(name) {
+    var line = name;
+    while (line.length < 30) {
+      line += '.';
+    }
+    return [line];
+  }
+
+  function setTime(cache, key, secondsAgo) {
+    var time = Date.now() / 1000 - secondsAgo;
+    fs.utimesSync(cache._getFileName(key), time, time);
+  }
+
+  it('CountsHitsAndMisses', function() {
+    var cache = new BlameCache(path.join(root, 'cache'), 1000);
+    var key = {context: 'a', path: 'src/math.js'};
+    return cache.get(key).then(function(lines) {
+      expect(lines).toBe(null);
+      return cache.set(key, ['alice', 'bob']);
+    }).then(function() {
+      return cache.get(key);
+    }).then(function(lines) {
+      expect(lines).toEqual(['alice', 'bob']);
+      return cache.get({context: 'b', path: 'src/math.js'});
+    }).then(function(lines) {
+      expect(lines).toBe(null);
+      expect(cache.hits).toEqual(1);
+      expect(cache.misses).toEqual(2);
+    });
+  });
+
+  it('CreatesTheMissingDirectories', function() {
+    var directory = path.join(root, 'a', 'b', 'cache');
+    var cache = new BlameCache(directory, 1000);
+    return cache.set({path: 'src/math.js'}, blame('a')).then(function() {
+      expect(fs.readdirSync(directory).length).toEqual(1);
+    });
+  });
+
+  it('LogsOnceWhenTheDirectoryCantBeCreated', function() {
+    var file = path.join(root, 'file');
+    fs.writeFileSync(file, '');
+    var cache = new BlameCache(path.join(file, 'cache'), 1000);
+    var error = console.error;
+    console.error = jest.fn();
+    return cache.set({path: 'a'}, blame('a')).then(function() {
+      return cache.set({path: 'b'}, blame('b'));
+    }).then(function() {
+      expect(console.error.mock.calls.length).toEqual(1);
+      console.error = error;
+    }, function(e) {
+      console.error = error;
+      throw e;
+    });
+  });
+
+  it('MovesCompleteBlamesInPlace', function() {
+    var directory = path.join(root, 'cache');
+    var cache = new BlameCache(directory, 1000);
+    var writeFile = fs.writeFile;
+    var written = [];
+    fs.writeFile = function(fileName) {
+      written.push(fileName);
+      return writeFile.apply(fs, arguments);
+    };
+    var key = {path: 'src/math.js'};
+    return cache.set(key, blame('a')).then(function() {
+      fs.writeFile = writeFile;
+      expect(written.length).toEqual(1);
+      expect(written[0]).not.toEqual(cache._getFileName(key));
+      // Nothing is left behind but the blame.
+      expect(fs.readdirSync(directory))
+        .toEqual([path.basename(cache._getFileName(key))]);
+    }, function(e) {
+      fs.writeFile = writeFile;
+      throw e;
+    });
+  });
+
+  it('EvictsTheLeastRecentlyUsedBlames', function() {
+    var directory = path.join(root, 'cache');
+    var cache = new BlameCache(directory, 100);
+    var keys = [{path: 'a'}, {path: 'b'}, {path: 'c'}, {path: 'd'}];
+    return cache.set(keys[0], blame('a')).then(function() {
+      return cache.set(keys[1], blame('b'));
+    }).then(function() {
+      return cache.set(keys[2], blame('c'));
+    }).then(function() {
+      // a was used after b and c.
+      setTime(cache, keys[0], 100);
+      setTime(cache, keys[1], 300);
+      setTime(cache, keys[2], 200);
+      // 120 bytes, down to 90% of 100 by evicting b.
+      return cache.set(keys[3], blame('d'));
+    }).then(function() {
+      expect(fs.existsSync(cache._getFileName(keys[0]))).toBe(true);
+      expect(fs.existsSync(cache._getFileName(keys[1]))).toBe(false);
+      expect(fs.existsSync(cache._getFileName(keys[2]))).toBe(true);
+      expect(fs.existsSync(cache._getFileName(keys[3]))).toBe(true);
+      expect(cache._size).toEqual(90);
+    });
+  });
+
+  it('CountsTheBlamesAlreadyOnDisk', function() {
+    var directory = path.join(root, 'cache');
+    var first = new BlameCache(directory, 100);
+    var second = new BlameCache(directory, 100);
+    return first.set({path: 'a'}, blame('a')).then(function() {
+      return first.set({path: 'b'}, blame('b'));
+    }).then(function() {
+      return second.set({path: 'c'}, blame('c'));
+    }).then(function() {
+      expect(second._size).toEqual(90);
+      return second.set({path: 'd'}, blame('d'));
+    }).then(function() {
+      expect(fs.readdirSync(directory).length).toEqual(3);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+jest
+  .dontMock('../blameParser.js')
+  .dontMock('../diffParser.js')
+  .dontMock('fs');
+
+var blameParser = require('../blameParser.js');
+var fs = require('fs');
+
+describe('blameParser', function() {
+
+  function getFile(filename) {
+    return fs.readFileSync(__dirname + '/data/' + filename, 'utf8');
+  }
+
+  var alice = {
+    sha: 'ea6f60207ca5b8e33466b0ec103c10e843e5a89a',
+    authorName: 'Alice Liddell',
+    authorMail: 'alice@example.com',
+    authorTime: 1433152800,
+    committer: 'Alice Liddell',
+    committerMail: 'alice@example.com',
+    committerTime: 1433152800,
+    summary: 'Initial commit',
+    filename: 'old.js',
+    boundary: true,
+  };
+  var bob = {
+    sha: '04be815c681583b279cd8f0625f476615ea3d3d4',
+    authorName: 'Bob Builder',
+    authorMail: 'bob@example.com',
+    authorTime: 1458043200,
+    committer: 'Bob Builder',
+    committerMail: 'bob@example.com',
+    committerTime: 1458043200,
+    summary: 'Rename to math.js',
+    filename: 'math.js',
+    boundary: false,
+  };
+  var carol = {
+    sha: '8b3eafb9327e5c40789523a635cd84d5de1c7854',
+    authorName: 'Carol Danvers',
+    authorMail: 'carol@example.com',
+    authorTime: 1484901000,
+    committer: 'Carol Danvers',
+    committerMail: 'carol@example.com',
+    committerTime: 1484901000,
+    summary: 'Tweak c',
+    filename: 'math.js',
+    boundary: false,
+  };
+
+  function line(commit, originalLine, finalLine) {
+    var record = {originalLine: originalLine, finalLine: finalLine};
+    Object.keys(commit).forEach(function(key) {
+      record[key] = commit[key];
+    });
+    return record;
+  }
+
+  it('ParseBlamePorcelain', function() {
+    var parsed = blameParser.parseBlamePorcelain(getFile('math.js.porcelain'));
+    expect(parsed).toEqual([
+      line(alice, 1, 1),
+      line(bob, 2, 2),
+      line(carol, 3, 3),
+      // The commit information is only given the first time.
+      line(alice, 4, 4),
+      line(bob, 5, 5),
+    ]);
+  });
+
+  it('ParseBlamePorcelainRanges', function() {
+    var parsed = blameParser.parseBlamePorcelain([
+      carol.sha + ' 3 3 1',
+      'author Carol Danvers',
+      'author-mail <carol@example.com>',
+      'author-time 1484901000',
+      'committer Carol Danvers',
+      'committer-mail <carol@example.com>',
+      'committer-time 1484901000',
+      'summary Tweak c',
+      'filename "caf\\303\\251.js"',
+      '\tvar c = 30;',
+    ]);
+    expect(parsed.length).toEqual(3);
+    expect(parsed[0]).toBeUndefined();
+    expect(parsed[1]).toBeUndefined();
+    expect(parsed[2].authorMail).toEqual('carol@example.com');
+    expect(parsed[2].filename).toEqual('café.js');
+  });
+
+  it('ParseBlamePorcelainEmpty', function() {
+    expect(blameParser.parseBlamePorcelain('')).toEqual([]);
+  });
+});
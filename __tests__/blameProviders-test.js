@@ -0,0 +1,94 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+jest
+  .dontMock('../blameProviders.js')
+  .dontMock('fs');
+
+var blameProviders = require('../blameProviders.js');
+var fs = require('fs');
+
+describe('blameProviders', function() {
+
+  function getFile(filename) {
+    return fs.readFileSync(__dirname + '/data/' + filename, 'utf8');
+  }
+
+  var alice = {
+    sha: 'ea6f60207ca5b8e33466b0ec103c10e843e5a89a',
+    authorName: 'Alice Liddell',
+    authorMail: 'alice@example.com',
+    authorTime: 1433152800,
+    committer: 'Alice Liddell',
+    committerMail: 'alice@example.com',
+    committerTime: 1433152800,
+    summary: 'Initial commit',
+    filename: 'math.js',
+    boundary: false,
+  };
+  var bob = {
+    sha: '04be815c681583b279cd8f0625f476615ea3d3d4',
+    authorName: 'Bob Builder',
+    authorMail: 'bob@example.com',
+    authorTime: 1458043200,
+    committer: 'Bob Builder',
+    committerMail: 'bob@example.com',
+    committerTime: 1458043200,
+    summary: 'Rename to math.js',
+    filename: 'math.js',
+    boundary: false,
+  };
+
+  function line(commit, lineNumber) {
+    var record = {originalLine: lineNumber, finalLine: lineNumber};
+    Object.keys(commit).forEach(function(key) {
+      record[key] = commit[key];
+    });
+    return record;
+  }
+
+  it('ParseGitHubBlame', function() {
+    var parsed = blameProviders.parseGitHubBlame(
+      JSON.parse(getFile('math.js.graphql.json')),
+      'math.js',
+      null
+    );
+    expect(parsed).toEqual([
+      line(alice, 1),
+      line(bob, 2),
+      line(bob, 3),
+    ]);
+  });
+
+  it('ParseGitHubBlameRanges', function() {
+    var parsed = blameProviders.parseGitHubBlame(
+      JSON.parse(getFile('math.js.graphql.json')),
+      'math.js',
+      [[3, 10]]
+    );
+    expect(parsed.length).toEqual(3);
+    expect(parsed[0]).toBeUndefined();
+    expect(parsed[1]).toBeUndefined();
+    expect(parsed[2]).toEqual(line(bob, 3));
+  });
+
+  it('ParseGitHubBlameErrors', function() {
+    expect(function() {
+      blameProviders.parseGitHubBlame({
+        data: {repository: null},
+        errors: [{message: 'Could not resolve to a Repository'}],
+      }, 'math.js', null);
+    }).toThrow();
+    expect(function() {
+      blameProviders.parseGitHubBlame({
+        data: {repository: {object: null}},
+      }, 'math.js', null);
+    }).toThrow();
+  });
+});
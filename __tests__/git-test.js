@@ -0,0 +1,50 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+jest
+  .dontMock('../git.js')
+  .dontMock('path');
+
+var git = require('../git.js');
+
+describe('git', function() {
+  it('AcceptsPathsInsideTheRepository', function() {
+    expect(git.checkPath('src/index.js')).toEqual('src/index.js');
+    expect(git.checkPath('-rf')).toEqual('-rf');
+    expect(git.checkPath('docs/../README.md')).toEqual('docs/../README.md');
+    expect(git.checkPath('..foo/bar.js')).toEqual('..foo/bar.js');
+  });
+
+  it('RejectsPathsOutsideTheRepository', function() {
+    expect(function() { git.checkPath(''); }).toThrow();
+    expect(function() { git.checkPath('/etc/passwd'); }).toThrow();
+    expect(function() { git.checkPath('..'); }).toThrow();
+    expect(function() { git.checkPath('../other/file.js'); }).toThrow();
+    expect(function() { git.checkPath('src/../../file.js'); }).toThrow();
+    expect(function() { git.checkPath('src/\0file.js'); }).toThrow();
+  });
+
+  it('RejectsRevisionsThatLookLikeOptions', function() {
+    expect(git.checkRevision('refs/remotes/origin/master'))
+      .toEqual('refs/remotes/origin/master');
+    expect(function() { git.checkRevision(''); }).toThrow();
+    expect(function() { git.checkRevision('--output=/tmp/x'); }).toThrow();
+  });
+
+  it('ObjectName', function() {
+    expect(git.objectName('HEAD', 'src/index.js')).toEqual('HEAD:src/index.js');
+    expect(function() { git.objectName('-p', 'src/index.js'); }).toThrow();
+    expect(function() { git.objectName('HEAD', '../index.js'); }).toThrow();
+  });
+
+  it('ResolvePath', function() {
+    expect(git.resolvePath('/repo', 'lib/sub')).toEqual('/repo/lib/sub');
+    expect(function() { git.resolvePath('/repo', '../sub'); }).toThrow();
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+jest
+  .dontMock('../gitAttributes.js')
+  .dontMock('minimatch');
+
+var gitAttributes = require('../gitAttributes.js');
+
+describe('gitAttributes', function() {
+  var rules = gitAttributes.parseGitAttributes([
+    '# Generated code',
+    '*.lock linguist-generated',
+    'yarn.lock -linguist-generated',
+    '/src/__generated__/** linguist-generated=true',
+    'vendor/** linguist-vendored',
+    'vendor/ours/** linguist-vendored=false',
+    'docs/** mention-bot-ignore',
+    'docs/important.md !mention-bot-ignore',
+    '*.png binary',
+  ].join('\n'));
+
+  it('ParseGitAttributes', function() {
+    expect(rules.length).toEqual(7);
+    expect(rules[1]).toEqual({
+      pattern: 'yarn.lock',
+      attributes: {'linguist-generated': false},
+    });
+  });
+
+  it('IgnoresGeneratedAndVendoredFiles', function() {
+    expect(gitAttributes.isIgnoredByAttributes(rules, 'Gemfile.lock')).toBe(true);
+    expect(gitAttributes.isIgnoredByAttributes(rules, 'sub/dir/Cargo.lock')).toBe(true);
+    expect(gitAttributes.isIgnoredByAttributes(rules, 'src/__generated__/a.js')).toBe(true);
+    expect(gitAttributes.isIgnoredByAttributes(rules, 'vendor/lib/a.js')).toBe(true);
+    expect(gitAttributes.isIgnoredByAttributes(rules, 'docs/guide.md')).toBe(true);
+  });
+
+  it('LaterLinesTakePrecedence', function() {
+    expect(gitAttributes.isIgnoredByAttributes(rules, 'yarn.lock')).toBe(false);
+    expect(gitAttributes.isIgnoredByAttributes(rules, 'vendor/ours/a.js')).toBe(false);
+    expect(gitAttributes.isIgnoredByAttributes(rules, 'docs/important.md')).toBe(false);
+  });
+
+  it('KeepsOtherFiles', function() {
+    expect(gitAttributes.isIgnoredByAttributes(rules, 'src/index.js')).toBe(false);
+    expect(gitAttributes.isIgnoredByAttributes(rules, 'nested/vendor/a.js')).toBe(false);
+    expect(gitAttributes.isIgnoredByAttributes(rules, 'logo.png')).toBe(false);
+  });
+});
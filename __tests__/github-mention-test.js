@@ -9,6 +9,9 @@
 
 jest
   .dontMock('../mention-bot.js')
+  .dontMock('../blameParser.js')
+  .dontMock('../diffParser.js')
+  .dontMock('../gitAttributes.js')
   .dontMock('download-file-sync')
   .dontMock('fs')
   .dontMock('minimatch');
@@ -140,6 +143,17 @@ describe('Github Mention', function() {
     expect(function() { mentionBot.parseBlame(''); }).not.toThrow();
   });
 
+  it('ParseBlamePorcelain', function() {
+    var parsed = mentionBot.parseBlame(getFile('math.js.porcelain'));
+    expect(parsed).toEqual([
+      'alice@example.com',
+      'bob@example.com',
+      'carol@example.com',
+      'alice@example.com',
+      'bob@example.com',
+    ]);
+  });
+
   it('ParseDiff3119', function() {
     var parsed = mentionBot.parseDiff(
       // https://github.com/facebook/react-native/pull/3119.diff
@@ -148,15 +162,39 @@ describe('Github Mention', function() {
     expect(parsed).toEqual([
       {
         path: 'Libraries/Components/MapView/MapView.js',
+        oldPath: 'Libraries/Components/MapView/MapView.js',
+        changeType: 'modified',
         deletedLines: [ 74 ],
+        addedLineCount: 9,
+        insertionPoints: [ 84 ],
+        hunkCount: 2,
+        binary: false,
+        submodule: null,
+        warnings: [ ],
       },
       {
         path: 'React/Views/RCTMap.m',
+        oldPath: 'React/Views/RCTMap.m',
+        changeType: 'modified',
         deletedLines: [ 90, 92 ],
+        addedLineCount: 4,
+        insertionPoints: [ ],
+        hunkCount: 1,
+        binary: false,
+        submodule: null,
+        warnings: [ ],
       },
       {
         path: 'React/Views/RCTMapManager.m',
+        oldPath: 'React/Views/RCTMapManager.m',
+        changeType: 'modified',
         deletedLines: [ ],
+        addedLineCount: 1,
+        insertionPoints: [ 40 ],
+        hunkCount: 1,
+        binary: false,
+        submodule: null,
+        warnings: [ ],
       },
     ]);
   });
@@ -169,35 +207,99 @@ describe('Github Mention', function() {
     expect(parsed).toEqual([
       {
         path: 'website/src/react-native/img/TutorialFinal.png',
+        oldPath: 'website/src/react-native/img/TutorialFinal.png',
+        changeType: 'modified',
         deletedLines: [ ],
+        addedLineCount: 0,
+        insertionPoints: [ ],
+        hunkCount: 0,
+        binary: true,
+        submodule: null,
+        warnings: [ ],
       },
       {
         path: 'website/src/react-native/img/TutorialMock.png',
+        oldPath: 'website/src/react-native/img/TutorialMock.png',
+        changeType: 'modified',
         deletedLines: [ ],
+        addedLineCount: 0,
+        insertionPoints: [ ],
+        hunkCount: 0,
+        binary: true,
+        submodule: null,
+        warnings: [ ],
       },
       {
         path: 'website/src/react-native/img/TutorialSingleFetched.png',
+        oldPath: 'website/src/react-native/img/TutorialSingleFetched.png',
+        changeType: 'modified',
         deletedLines: [ ],
+        addedLineCount: 0,
+        insertionPoints: [ ],
+        hunkCount: 0,
+        binary: true,
+        submodule: null,
+        warnings: [ ],
       },
       {
         path: 'website/src/react-native/img/TutorialStyledMock.png',
+        oldPath: 'website/src/react-native/img/TutorialStyledMock.png',
+        changeType: 'modified',
         deletedLines: [ ],
+        addedLineCount: 0,
+        insertionPoints: [ ],
+        hunkCount: 0,
+        binary: true,
+        submodule: null,
+        warnings: [ ],
       },
       {
         path: 'website/src/react-native/img/chrome_breakpoint.png',
+        oldPath: 'website/src/react-native/img/chrome_breakpoint.png',
+        changeType: 'modified',
         deletedLines: [ ],
+        addedLineCount: 0,
+        insertionPoints: [ ],
+        hunkCount: 0,
+        binary: true,
+        submodule: null,
+        warnings: [ ],
       },
       {
         path: 'website/src/react-native/img/favicon.png',
+        oldPath: 'website/src/react-native/img/favicon.png',
+        changeType: 'modified',
         deletedLines: [ ],
+        addedLineCount: 0,
+        insertionPoints: [ ],
+        hunkCount: 0,
+        binary: true,
+        submodule: null,
+        warnings: [ ],
       },
       {
         path: 'website/src/react-native/img/header_logo.png',
+        oldPath: 'website/src/react-native/img/header_logo.png',
+        changeType: 'modified',
         deletedLines: [ ],
+        addedLineCount: 0,
+        insertionPoints: [ ],
+        hunkCount: 0,
+        binary: true,
+        submodule: null,
+        warnings: [ ],
       },
       {
         path: 'website/src/react-native/img/opengraph.png',
+        oldPath: 'website/src/react-native/img/opengraph.png',
+        changeType: 'modified',
         deletedLines: [ ],
+        addedLineCount: 0,
+        insertionPoints: [ ],
+        hunkCount: 0,
+        binary: true,
+        submodule: null,
+        warnings: [ ],
       },
     ]);
   });
@@ -210,19 +312,51 @@ describe('Github Mention', function() {
     expect(parsed).toEqual([
       {
         path: 'Libraries/WebSocket/WebSocket.ios.js',
+        oldPath: 'Libraries/WebSocket/WebSocket.ios.js',
+        changeType: 'modified',
         deletedLines: [ 19, 20, 21, 22, 23, 24, 25, 27, 28, 70, 74, 75, 77, 79, 83, 88, 89, 91, 95, 100, 101, 105, 109, 113, 114, 115, 116, 119 ],
+        addedLineCount: 28,
+        insertionPoints: [ ],
+        hunkCount: 2,
+        binary: false,
+        submodule: null,
+        warnings: [ ],
       },
       {
         path: 'Libraries/WebSocket/WebSocketBase.js',
+        oldPath: 'Libraries/WebSocket/WebSocketBase.js',
+        changeType: 'modified',
         deletedLines: [ 19, 25, 26, 27, 28, 29 ],
+        addedLineCount: 3,
+        insertionPoints: [ 44 ],
+        hunkCount: 2,
+        binary: false,
+        submodule: null,
+        warnings: [ ],
       },
       {
         path: 'Libraries/WebSocket/__mocks__/event-target-shim.js',
+        oldPath: 'Libraries/WebSocket/__mocks__/event-target-shim.js',
+        changeType: 'deleted',
         deletedLines: [ 1, 2, 3, 4, 5, 6, 7, 8, 9 ],
+        addedLineCount: 0,
+        insertionPoints: [ ],
+        hunkCount: 1,
+        binary: false,
+        submodule: null,
+        warnings: [ ],
       },
       {
         path: 'Libraries/WebSocket/__tests__/Websocket-test.js',
+        oldPath: 'Libraries/WebSocket/__tests__/Websocket-test.js',
+        changeType: 'added',
         deletedLines: [ ],
+        addedLineCount: 207,
+        insertionPoints: [ 1 ],
+        hunkCount: 1,
+        binary: false,
+        submodule: null,
+        warnings: [ ],
       },
     ]);
   });
@@ -235,8 +369,227 @@ describe('Github Mention', function() {
     expect(parsed).toEqual([
       {
         path: 'README.md',
+        oldPath: 'README.md',
+        changeType: 'modified',
         deletedLines: [  ],
+        addedLineCount: 1,
+        insertionPoints: [ 2 ],
+        hunkCount: 1,
+        binary: false,
+        submodule: null,
+        warnings: [ ],
+      },
+    ]);
+  });
+
+  it('ParseDiffRenameAndCopy', function() {
+    var parsed = mentionBot.parseDiff(getFile('rename.diff'));
+    expect(parsed).toEqual([
+      {
+        path: 'lib/Derived.js',
+        oldPath: 'lib/Base.js',
+        changeType: 'copied',
+        deletedLines: [ 3 ],
+        addedLineCount: 0,
+        insertionPoints: [ ],
+        hunkCount: 1,
+        binary: false,
+        submodule: null,
+        warnings: [ ],
       },
+      {
+        path: 'lib/Foo.js',
+        oldPath: 'src/Foo.js',
+        changeType: 'renamed',
+        deletedLines: [ 5 ],
+        addedLineCount: 1,
+        insertionPoints: [ ],
+        hunkCount: 1,
+        binary: false,
+        submodule: null,
+        warnings: [ ],
+      },
+      {
+        path: 'src/Baz.js',
+        oldPath: 'src/Bar.js',
+        changeType: 'renamed',
+        deletedLines: [ ],
+        addedLineCount: 0,
+        insertionPoints: [ ],
+        hunkCount: 0,
+        binary: false,
+        submodule: null,
+        warnings: [ ],
+      },
+    ]);
+  });
+
+  it('ParseDiffTolerant', function() {
+    var parsed = mentionBot.parseDiff(getFile('tolerant.diff'));
+    expect(parsed).toEqual([
+      {
+        path: 'run.sh',
+        oldPath: 'run.sh',
+        changeType: 'modified',
+        deletedLines: [ ],
+        addedLineCount: 0,
+        insertionPoints: [ ],
+        hunkCount: 0,
+        binary: false,
+        submodule: null,
+        warnings: [ ],
+      },
+      {
+        path: 'vendor/lib',
+        oldPath: 'vendor/lib',
+        changeType: 'modified',
+        deletedLines: [ ],
+        addedLineCount: 0,
+        insertionPoints: [ ],
+        hunkCount: 1,
+        binary: false,
+        submodule: {
+          oldCommit: '1234567890123456789012345678901234567890',
+          newCommit: '89abcdef0123456789abcdef0123456789abcdef',
+        },
+        warnings: [ ],
+      },
+      {
+        path: 'broken.js',
+        oldPath: 'broken.js',
+        changeType: 'modified',
+        deletedLines: [ ],
+        addedLineCount: 0,
+        insertionPoints: [ ],
+        hunkCount: 0,
+        binary: false,
+        submodule: null,
+        warnings: [
+          'Ignoring content after unexpected line `this line should not be here`',
+        ],
+      },
+      {
+        path: 'ne.txt',
+        oldPath: 'ne.txt',
+        changeType: 'modified',
+        deletedLines: [ 2 ],
+        addedLineCount: 1,
+        insertionPoints: [ ],
+        hunkCount: 1,
+        binary: false,
+        submodule: null,
+        warnings: [ ],
+      },
+      {
+        path: 'nums.txt',
+        oldPath: 'nums.txt',
+        changeType: 'modified',
+        deletedLines: [ 3 ],
+        addedLineCount: 1,
+        insertionPoints: [ ],
+        hunkCount: 1,
+        binary: false,
+        submodule: null,
+        warnings: [ ],
+      },
+    ]);
+  });
+
+  it('ParseDiffUnusualPaths', function() {
+    var parsed = mentionBot.parseDiff(getFile('paths.diff'));
+    expect(parsed).toEqual([
+      {
+        path: 'assets/fr-FR/caf\u00e9.js',
+        oldPath: 'assets/fr-FR/caf\u00e9.js',
+        changeType: 'modified',
+        deletedLines: [ 2 ],
+        addedLineCount: 1,
+        insertionPoints: [ ],
+        hunkCount: 1,
+        binary: false,
+        submodule: null,
+        warnings: [ ],
+      },
+      {
+        path: 'docs/a b/x b/y.md',
+        oldPath: 'docs/a b/x b/y.md',
+        changeType: 'modified',
+        deletedLines: [ 1 ],
+        addedLineCount: 0,
+        insertionPoints: [ ],
+        hunkCount: 1,
+        binary: false,
+        submodule: null,
+        warnings: [ ],
+      },
+      {
+        path: 'my renamed file.txt',
+        oldPath: 'my file.txt',
+        changeType: 'renamed',
+        deletedLines: [ 3 ],
+        addedLineCount: 0,
+        insertionPoints: [ ],
+        hunkCount: 1,
+        binary: false,
+        submodule: null,
+        warnings: [ ],
+      },
+    ]);
+  });
+
+  it('ParseDiffUnusualPathsWithoutContent', function() {
+    var parsed = mentionBot.parseDiff([
+      'diff --git a/x b/y b/x b/y',
+      'old mode 100644',
+      'new mode 100755',
+      'diff --git "a/caf\\303\\251.png" "b/caf\\303\\251.png"',
+      'index 987ad30..2f05b13 100644',
+      'Binary files "a/caf\\303\\251.png" and "b/caf\\303\\251.png" differ',
+    ].join('\n'));
+    expect(parsed.map(function(file) {
+      return [file.oldPath, file.path];
+    })).toEqual([
+      ['x b/y', 'x b/y'],
+      ['caf\u00e9.png', 'caf\u00e9.png'],
+    ]);
+  });
+
+  it('ParseDiffWithoutContext', function() {
+    // git diff -U0
+    var parsed = mentionBot.parseDiff([
+      'diff --git a/src/math.js b/src/math.js',
+      'index 1c9b2d0..5a3e7f1 100644',
+      '--- a/src/math.js',
+      '+++ b/src/math.js',
+      '@@ -2 +1,0 @@',
+      '-var b = 2;',
+      '@@ -7,0 +7 @@',
+      '+var c = 3;',
+      'diff --git a/empty.txt b/empty.txt',
+      'index e69de29..ce01362 100644',
+      '--- a/empty.txt',
+      '+++ b/empty.txt',
+      '@@ -0,0 +1 @@',
+      '+hello',
+    ].join('\n'));
+    expect(parsed.map(function(file) {
+      return [file.path, file.deletedLines, file.insertionPoints];
+    })).toEqual([
+      ['src/math.js', [ 2 ], [ 8 ]],
+      ['empty.txt', [ ], [ 1 ]],
+    ]);
+  });
+
+  it('ParseDiffTruncated', function() {
+    var diff = getFile('3229.diff');
+    // Cut the diff in the middle of the hunk of the second file.
+    var parsed = mentionBot.parseDiff(
+      diff.substr(0, diff.indexOf('class WebSocketBase extends EventTarget {'))
+    );
+    expect(parsed.map(function(file) {
+      return file.path;
+    })).toEqual([
+      'Libraries/WebSocket/WebSocket.ios.js',
     ]);
   });
 
@@ -0,0 +1,220 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+jest
+  .dontMock('../mention-bot.js')
+  .dontMock('../blameParser.js')
+  .dontMock('../diffParser.js')
+  .dontMock('../directories.js')
+  .dontMock('../gitAttributes.js')
+  .dontMock('../repositoryManager.js')
+  .dontMock('../workerPool.js')
+  .dontMock('fs')
+  .dontMock('path')
+  .dontMock('minimatch');
+
+jest.setMock('../package.json', {config: {ghe: {}}});
+
+require.requireActual('babel-polyfill');
+var mentionBot = require('../mention-bot.js');
+
+// The diff of fbsamples/bot-testing#1 is read from the debugging cache:
+// src/math.js loses line 2 and gets a line inserted after line 7, src/other.js
+// loses lines 1 and 2.
+describe('guessOwnersForPullRequest', function() {
+  var now = Math.floor(Date.now() / 1000);
+
+  function lines(author, count, authorTime) {
+    var records = [];
+    for (var i = 0; i < count; ++i) {
+      records.push({
+        sha: author + '-sha',
+        authorMail: author + '@example.com',
+        authorTime: authorTime || now,
+        boundary: false,
+      });
+    }
+    return records;
+  }
+
+  var blames = {
+    'src/math.js': []
+      .concat(lines('alice', 2))
+      .concat(lines('bob', 2))
+      .concat(lines('carol', 4))
+      .concat(lines('bob', 4)),
+    'src/other.js': lines('dan', 2),
+  };
+
+  // Emails that can't be found on GitHub are mentioned as is.
+  var github = {
+    search: {
+      email: function(query, callback) {
+        callback(new Error('Not Found'));
+      },
+    },
+  };
+
+  function getConfig(options) {
+    return {
+      maxReviewers: 5,
+      numFilesToCheck: 5,
+      fileSelectionStrategy: 'deletions',
+      blameMode: 'full',
+      insertionContextLines: 2,
+      insertionContextWeight: 0,
+      maxHistoryCommits: 10,
+      submoduleOwners: {},
+      userBlacklist: [],
+      userBlacklistForPR: [],
+      userWhitelist: [],
+      fileBlacklist: [],
+      alwaysNotifyForPaths: [],
+      useGitAttributes: true,
+      requiredOrgs: [],
+      findPotentialReviewers: true,
+      ...options,
+    };
+  }
+
+  function guessOwners(provider, options) {
+    mentionBot.enableCachingForDebugging = true;
+    mentionBot.blameProvider = provider;
+    return mentionBot.guessOwnersForPullRequest(
+      'fbsamples/bot-testing',
+      1,
+      'mention-bot',
+      'master',
+      getConfig(options),
+      github,
+      'a72662b641dbaa4c12f86fd7c5f3e50148df3d0e'
+    );
+  }
+
+  var calls;
+  var fixtureProvider = {
+    usesClone: false,
+    blame: function(context, path, ranges) {
+      calls.push({context: context, path: path, ranges: ranges});
+      return Promise.resolve(blames[path]);
+    },
+  };
+
+  beforeEach(function() {
+    calls = [];
+  });
+
+  it('UsesTheBlameProvider', function() {
+    return guessOwners(fixtureProvider, {}).then(function(owners) {
+      expect(owners).toEqual([
+        'dan@example.com',
+        'alice@example.com',
+        'bob@example.com',
+        'carol@example.com',
+      ]);
+      expect(calls.map(function(call) {
+        return call.path;
+      }).sort()).toEqual(['src/math.js', 'src/other.js']);
+      expect(calls[0].context.repository).toEqual('fbsamples/bot-testing');
+      expect(calls[0].context.revision)
+        .toEqual('a72662b641dbaa4c12f86fd7c5f3e50148df3d0e');
+      expect(calls[0].context.gitDir).toBe(null);
+    });
+  });
+
+  it('CreditsTheLinesAroundInsertions', function() {
+    return guessOwners(fixtureProvider, {
+      insertionContextWeight: 1,
+    }).then(function(owners) {
+      // Lines 6 to 9 of src/math.js surround the insertion.
+      expect(owners).toEqual([
+        'carol@example.com',
+        'dan@example.com',
+        'alice@example.com',
+        'bob@example.com',
+      ]);
+    });
+  });
+
+  it('BlamesOnlyTheChangedLinesInRangesMode', function() {
+    return guessOwners(fixtureProvider, {
+      blameMode: 'ranges',
+    }).then(function(owners) {
+      // Without a clone there is no history to stand for the whole files.
+      expect(owners).toEqual(['dan@example.com', 'alice@example.com']);
+      var ranges = {};
+      calls.forEach(function(call) {
+        ranges[call.path] = call.ranges;
+      });
+      expect(ranges).toEqual({
+        'src/math.js': [[2, 2], [6, 9]],
+        'src/other.js': [[1, 2]],
+      });
+    });
+  });
+
+  it('CreditsOldLinesLessWithAHalfLife', function() {
+    var tenYearsAgo = now - 10 * 365 * 24 * 60 * 60;
+    var provider = {
+      usesClone: false,
+      blame: function(context, path, ranges) {
+        return Promise.resolve(
+          path === 'src/other.js' ? lines('dan', 2, tenYearsAgo) : blames[path]
+        );
+      },
+    };
+    return guessOwners(provider, {
+      ownershipHalfLifeDays: 365,
+    }).then(function(owners) {
+      // Dan's two lines are ten half-lives old, worth less than Alice's one.
+      expect(owners).toEqual([
+        'alice@example.com',
+        'dan@example.com',
+        'bob@example.com',
+        'carol@example.com',
+      ]);
+    });
+  });
+
+  it('SkipsTheFilesThatCantBeBlamed', function() {
+    var provider = {
+      usesClone: false,
+      blame: function(context, path, ranges) {
+        if (path === 'src/other.js') {
+          return Promise.reject(new Error('Something went wrong'));
+        }
+        return Promise.resolve(blames[path]);
+      },
+    };
+    return guessOwners(provider, {}).then(function(owners) {
+      expect(owners).toEqual([
+        'alice@example.com',
+        'bob@example.com',
+        'carol@example.com',
+      ]);
+    });
+  });
+
+  it('SkipsTheFilesWhoseBlameTimedOut', function() {
+    var provider = {
+      usesClone: false,
+      blame: function(context, path, ranges) {
+        if (path === 'src/math.js') {
+          var error = new Error('Command failed');
+          error.timedOut = true;
+          return Promise.reject(error);
+        }
+        return Promise.resolve(blames[path]);
+      },
+    };
+    return guessOwners(provider, {}).then(function(owners) {
+      expect(owners).toEqual(['dan@example.com']);
+    });
+  });
+});
@@ -0,0 +1,363 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+jest
+  .dontMock('../mention-bot.js')
+  .dontMock('../blameParser.js')
+  .dontMock('../blameProviders.js')
+  .dontMock('../diffParser.js')
+  .dontMock('../directories.js')
+  .dontMock('../git.js')
+  .dontMock('../gitAttributes.js')
+  .dontMock('../repositoryManager.js')
+  .dontMock('../workerPool.js')
+  .dontMock('child_process')
+  .dontMock('fs')
+  .dontMock('os')
+  .dontMock('path')
+  .dontMock('minimatch');
+
+jest.setMock('../package.json', {config: {ghe: {}}});
+
+require.requireActual('babel-polyfill');
+var childProcess = require('child_process');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+// The repository is both the clone of the bot and its origin, pull requests
+// are refs/pull/<id>/head like on GitHub.
+var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mention-bot-test-'));
+process.env.GITHUB_DIR = directory;
+process.env.DIFF_SOURCE = 'git';
+
+var mentionBot = require('../mention-bot.js');
+
+describe('guessOwnersForPullRequest with a clone', function() {
+  function git(args, env) {
+    return childProcess.execFileSync('git', args, {
+      cwd: directory,
+      encoding: 'utf8',
+      env: {...process.env, ...env},
+    }).trim();
+  }
+
+  // `files` maps paths to their new content, null deletes them.
+  function commit(author, message, files) {
+    Object.keys(files).forEach(function(name) {
+      var file = path.join(directory, name);
+      if (files[name] === null) {
+        fs.unlinkSync(file);
+        return;
+      }
+      if (!fs.existsSync(path.dirname(file))) {
+        fs.mkdirSync(path.dirname(file));
+      }
+      fs.writeFileSync(file, files[name]);
+    });
+    git(['add', '-A']);
+    git(['commit', '-q', '-m', message], {
+      GIT_AUTHOR_NAME: author,
+      GIT_AUTHOR_EMAIL: author + '@example.com',
+      GIT_COMMITTER_NAME: author,
+      GIT_COMMITTER_EMAIL: author + '@example.com',
+    });
+    return git(['rev-parse', 'HEAD']);
+  }
+
+  // Pull requests branch off the tip of master once its history is complete.
+  function pullRequest(id, author, files) {
+    git(['checkout', '-q', '--detach', 'master']);
+    commit(author, 'Pull request #' + id, files);
+    git(['update-ref', 'refs/pull/' + id + '/head', 'HEAD']);
+    git(['checkout', '-q', 'master']);
+  }
+
+  function lines(prefix, count, length) {
+    var content = '';
+    for (var i = 1; i <= count; ++i) {
+      var line = prefix + i;
+      while (line.length < (length || 0)) {
+        line += 'x';
+      }
+      content += line + '\n';
+    }
+    return content;
+  }
+
+  function edit(content, start, deleteCount, added) {
+    var result = content.split('\n');
+    result.splice.apply(result, [start - 1, deleteCount].concat(added || []));
+    return result.join('\n');
+  }
+
+  var math = lines('m', 12);
+  var other = lines('o', 40, 100);
+  var big = lines('b', 40, 100);
+  var format = lines('f', 6);
+  var style = lines('s', 6);
+  var reformatSha;
+  var indent = lines('i', 6);
+  var library = lines('l', 6, 60);
+  var kept = lines('k', 12, 60);
+  var order = lines('a', 6, 60) + lines('b', 6, 60);
+
+  beforeAll(function() {
+    git(['init', '-q']);
+    git(['symbolic-ref', 'HEAD', 'refs/heads/master']);
+    git(['remote', 'add', 'origin', directory]);
+
+    commit('alice', 'Add math', {'src/math.js': math});
+    commit('dan', 'Add other', {'src/other.js': other});
+    commit('bob', 'Add big', {'src/big.js': big});
+    commit('judy', 'Add format and style', {
+      'src/format.js': format,
+      'src/style.js': style,
+    });
+    reformatSha = commit('ivan', 'Reformat format', {
+      'src/format.js': format.replace(/\n/g, ';\n'),
+    });
+    var restyleSha = commit('kate', 'Restyle style', {
+      'src/style.js': style.replace(/\n/g, ';\n'),
+    });
+    commit('kate', 'Ignore the restyle', {
+      '.git-blame-ignore-revs': '# Restyle\n' + restyleSha + '\n',
+    });
+    commit('mia', 'Add indent', {'src/indent.js': indent});
+    commit('nick', 'Reindent indent', {
+      'src/indent.js': indent.replace(/^(.)/gm, '  $1'),
+    });
+    commit('olga', 'Add library', {'src/library.js': library + kept});
+    commit('paul', 'Move part of library', {
+      'src/library.js': kept,
+      'src/moved.js': library,
+    });
+    commit('quinn', 'Add order', {'src/order.js': order});
+    commit('rob', 'Reorder order', {
+      'src/order.js': lines('b', 6, 60) + lines('a', 6, 60),
+    });
+    commit('sam', 'Add logo', {'assets/logo.png': Buffer.from([0, 1, 2])});
+    commit('tina', 'Update logo', {'assets/logo.png': Buffer.from([0, 1, 3])});
+    commit('tina', 'Update logo again', {
+      'assets/logo.png': Buffer.from([0, 1, 4]),
+    });
+    commit(
+      'uma',
+      'Add pair\n\nCo-authored-by: Victor <victor@example.com>',
+      {'src/pair.js': lines('p', 5)}
+    );
+    commit('wendy', 'Extend pair', {
+      'src/pair.js': lines('p', 5) + lines('w', 2),
+    });
+
+    // src/math.js is small, src/other.js loses the most lines and src/big.js
+    // gets the most new ones.
+    pullRequest(1, 'zoe', {
+      'src/math.js': edit(edit(math, 8, 0, ['new']), 2, 1),
+      'src/other.js': edit(other, 1, 3),
+      'src/big.js': edit(big, 1, 1) + lines('new', 10),
+    });
+    pullRequest(2, 'zoe', {
+      'src/format.js': edit(format.replace(/\n/g, ';\n'), 1, 1),
+    });
+    pullRequest(3, 'zoe', {
+      'src/style.js': edit(style.replace(/\n/g, ';\n'), 1, 1),
+    });
+    pullRequest(4, 'zoe', {
+      'src/indent.js': edit(indent.replace(/^(.)/gm, '  $1'), 1, 1),
+    });
+    pullRequest(5, 'zoe', {'src/moved.js': edit(library, 1, 1)});
+    pullRequest(6, 'zoe', {'src/order.js': null});
+    pullRequest(7, 'zoe', {'assets/logo.png': Buffer.from([0, 1, 5])});
+    // Three lines of Uma and Victor, two of Wendy.
+    pullRequest(8, 'zoe', {'src/pair.js': edit(lines('p', 5), 1, 3)});
+  });
+
+  // The other tests may run in the same process.
+  afterAll(function() {
+    delete process.env.GITHUB_DIR;
+    delete process.env.DIFF_SOURCE;
+    childProcess.execFileSync('rm', ['-rf', directory]);
+  });
+
+  // Emails that can't be found on GitHub are mentioned as is.
+  var github = {
+    search: {
+      email: function(query, callback) {
+        callback(new Error('Not Found'));
+      },
+    },
+  };
+
+  function guessOwners(id, options) {
+    return mentionBot.guessOwnersForPullRequest(
+      'fbsamples/bot-testing',
+      id,
+      'zoe',
+      'master',
+      {
+        maxReviewers: 5,
+        numFilesToCheck: 5,
+        fileSelectionStrategy: 'deletions',
+        blameMode: 'full',
+        insertionContextLines: 2,
+        insertionContextWeight: 0,
+        maxHistoryCommits: 10,
+        submoduleOwners: {},
+        userBlacklist: [],
+        userBlacklistForPR: [],
+        userWhitelist: [],
+        fileBlacklist: [],
+        alwaysNotifyForPaths: [],
+        useGitAttributes: true,
+        requiredOrgs: [],
+        findPotentialReviewers: true,
+        ...options,
+      },
+      github,
+      git(['rev-parse', 'master'])
+    );
+  }
+
+  it('ChecksTheFilesWithTheMostDeletions', function() {
+    return guessOwners(1, {
+      numFilesToCheck: 1,
+    }).then(function(owners) {
+      expect(owners).toEqual(['dan@example.com']);
+    });
+  });
+
+  it('ChecksTheFilesWithTheMostChurn', function() {
+    return guessOwners(1, {
+      numFilesToCheck: 1,
+      fileSelectionStrategy: 'churn',
+    }).then(function(owners) {
+      expect(owners).toEqual(['bob@example.com']);
+    });
+  });
+
+  it('ChecksTheFilesWithTheBiggestProportionChanged', function() {
+    return guessOwners(1, {
+      numFilesToCheck: 1,
+      fileSelectionStrategy: 'proportion',
+    }).then(function(owners) {
+      expect(owners).toEqual(['alice@example.com']);
+    });
+  });
+
+  it('CreditsTheCommitsThatAreNotIgnored', function() {
+    return guessOwners(2, {}).then(function(owners) {
+      expect(owners).toEqual(['ivan@example.com']);
+    });
+  });
+
+  it('IgnoresTheConfiguredRevisions', function() {
+    return guessOwners(2, {
+      ignoreRevisions: [reformatSha.substr(0, 7)],
+    }).then(function(owners) {
+      expect(owners).toEqual(['judy@example.com']);
+    });
+  });
+
+  it('IgnoresTheCommitsWithMatchingMessages', function() {
+    return guessOwners(2, {
+      ignoreCommitMessagePatterns: ['^Reformat'],
+    }).then(function(owners) {
+      expect(owners).toEqual(['judy@example.com']);
+    });
+  });
+
+  it('IgnoresTheRevisionsOfGitBlameIgnoreRevs', function() {
+    var mkdtempSync = fs.mkdtempSync;
+    var directories = [];
+    fs.mkdtempSync = function() {
+      var directory = mkdtempSync.apply(fs, arguments);
+      directories.push(directory);
+      return directory;
+    };
+    return guessOwners(3, {}).then(function(owners) {
+      fs.mkdtempSync = mkdtempSync;
+      expect(owners).toEqual(['judy@example.com']);
+      // The list given to git blame is gone with its directory.
+      expect(directories.length).toEqual(1);
+      expect(fs.existsSync(directories[0])).toBe(false);
+    }, function(e) {
+      fs.mkdtempSync = mkdtempSync;
+      throw e;
+    });
+  });
+
+  it('CreditsWhitespaceChangesByDefault', function() {
+    return guessOwners(4, {}).then(function(owners) {
+      expect(owners).toEqual(['nick@example.com']);
+    });
+  });
+
+  it('IgnoresWhitespaceChanges', function() {
+    return guessOwners(4, {
+      blameIgnoreWhitespace: true,
+    }).then(function(owners) {
+      expect(owners).toEqual(['mia@example.com']);
+    });
+  });
+
+  it('CreditsMovedLinesToTheirOriginalAuthor', function() {
+    return guessOwners(6, {}).then(function(owners) {
+      // Half of the lines look like rob's.
+      expect(owners).toEqual(['quinn@example.com', 'rob@example.com']);
+      return guessOwners(6, {blameDetectMoves: true});
+    }).then(function(owners) {
+      expect(owners).toEqual(['quinn@example.com']);
+    });
+  });
+
+  it('CreditsCopiedLinesToTheirOriginalAuthor', function() {
+    return guessOwners(5, {}).then(function(owners) {
+      expect(owners).toEqual(['paul@example.com']);
+      return guessOwners(5, {blameDetectCopies: true});
+    }).then(function(owners) {
+      expect(owners).toEqual(['olga@example.com']);
+      // Not enough characters to be considered copied.
+      return guessOwners(5, {blameDetectCopies: 1000});
+    }).then(function(owners) {
+      expect(owners).toEqual(['paul@example.com']);
+    });
+  });
+
+  it('CreditsTheHistoryOfBinaryFiles', function() {
+    return guessOwners(7, {}).then(function(owners) {
+      expect(owners).toEqual(['tina@example.com', 'sam@example.com']);
+      // Only the last commit.
+      return guessOwners(7, {maxHistoryCommits: 1});
+    }).then(function(owners) {
+      expect(owners).toEqual(['tina@example.com']);
+    });
+  });
+
+  it('CreditsCoAuthors', function() {
+    return guessOwners(8, {}).then(function(owners) {
+      expect(owners).toEqual(['uma@example.com', 'wendy@example.com']);
+      return guessOwners(8, {coAuthorCredit: 'duplicate'});
+    }).then(function(owners) {
+      expect(owners).toEqual([
+        'uma@example.com',
+        'victor@example.com',
+        'wendy@example.com',
+      ]);
+      // Uma and Victor only get half a point for each of their lines.
+      return guessOwners(8, {coAuthorCredit: 'split'});
+    }).then(function(owners) {
+      expect(owners).toEqual([
+        'wendy@example.com',
+        'uma@example.com',
+        'victor@example.com',
+      ]);
+    });
+  });
+});
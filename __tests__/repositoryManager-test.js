@@ -0,0 +1,309 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+jest
+  .dontMock('../repositoryManager.js')
+  .dontMock('../directories.js')
+  .dontMock('../git.js')
+  .dontMock('child_process')
+  .dontMock('fs')
+  .dontMock('os')
+  .dontMock('path');
+
+require.requireActual('babel-polyfill');
+var RepositoryManager = require('../repositoryManager.js').RepositoryManager;
+var childProcess = require('child_process');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+describe('RepositoryManager', function() {
+  var manager = new RepositoryManager({
+    root: '/cache',
+    maxAge: 0,
+    getCloneUrl: function(repoName) {
+      return 'https://github.com/' + repoName + '.git';
+    },
+    host: 'github.com',
+    gitConfig: [],
+  });
+
+  it('GetDirectory', function() {
+    expect(manager.getDirectory('facebook/react-native'))
+      .toEqual('/cache/facebook/react-native');
+    expect(manager.getDirectory('https://github.com/facebook/react-native'))
+      .toEqual('/cache/facebook/react-native');
+    expect(manager.getDirectory('https://github.com/facebook/react-native.git/'))
+      .toEqual('/cache/facebook/react-native');
+  });
+
+  it('GetDirectoryStaysInRoot', function() {
+    expect(manager.getDirectory('../..')).toEqual('/cache/-/-');
+    expect(manager.getDirectory('owner/repo name')).toEqual('/cache/owner/repo-name');
+    expect(function() {
+      manager.getDirectory('react-native');
+    }).toThrow();
+  });
+
+  it('DoesNotCloneSubmodulesFromOtherHosts', function() {
+    return Promise.all([
+      'https://gitlab.com/acme/lib.git',
+      'git@gitlab.com:acme/lib.git',
+      'ssh://git@gitlab.com/acme/lib.git',
+      '/srv/git/acme/lib.git',
+    ].map(function(url) {
+      return manager.prepareSubmodule('foo/bar', 'lib', url, []).then(function() {
+        throw new Error(url + ' should not have been cloned');
+      }, function(e) {
+        expect(e.message).toEqual(
+          'Not cloning ' + url + ', only the repositories on github.com are cloned'
+        );
+      });
+    }));
+  });
+
+  describe('with git', function() {
+    var root;
+    var origin;
+
+    function git(args) {
+      return childProcess.execFileSync('git', args, {
+        cwd: origin,
+        encoding: 'utf8',
+        env: {
+          ...process.env,
+          GIT_AUTHOR_NAME: 'alice',
+          GIT_AUTHOR_EMAIL: 'alice@example.com',
+          GIT_COMMITTER_NAME: 'alice',
+          GIT_COMMITTER_EMAIL: 'alice@example.com',
+        },
+      }).trim();
+    }
+
+    function commit(content) {
+      fs.writeFileSync(path.join(origin, 'file.txt'), content);
+      git(['add', '-A']);
+      git(['commit', '-q', '-m', content]);
+      return git(['rev-parse', 'HEAD']);
+    }
+
+    function createManager(options) {
+      return new RepositoryManager({
+        root: path.join(root, 'cache'),
+        maxAge: 60 * 60 * 1000,
+        getCloneUrl: function(repoName) {
+          return origin;
+        },
+        host: 'github.com',
+        gitConfig: [],
+        ...options,
+      });
+    }
+
+    function makeUnused(manager, repoURI) {
+      var file = path.join(manager.getDirectory(repoURI), 'mention-bot-last-used');
+      var time = Date.now() / 1000 - 2 * 60 * 60;
+      fs.utimesSync(file, time, time);
+    }
+
+    // Clones are pruned in the background.
+    function waitForPrune(directory) {
+      return new Promise(function(resolve, reject) {
+        var deadline = Date.now() + 10000;
+        var check = function() {
+          if (!fs.existsSync(directory)) {
+            resolve();
+          } else if (Date.now() > deadline) {
+            reject(new Error(directory + ' has not been pruned'));
+          } else {
+            setTimeout(check, 50);
+          }
+        };
+        check();
+      });
+    }
+
+    var refspecs = ['+refs/heads/master:refs/remotes/origin/master'];
+
+    beforeEach(function() {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'mention-bot-test-'));
+      origin = path.join(root, 'origin');
+      fs.mkdirSync(origin);
+      git(['init', '-q']);
+      git(['symbolic-ref', 'HEAD', 'refs/heads/master']);
+    });
+
+    afterEach(function() {
+      childProcess.execFileSync('rm', ['-rf', root]);
+    });
+
+    it('ClonesOnceAndFetches', function() {
+      var manager = createManager();
+      var first = commit('first');
+      var second;
+      var marker = path.join(manager.getDirectory('foo/bar'), 'marker');
+      return manager.prepare('foo/bar', refspecs).then(function(repository) {
+        expect(repository.directory).toEqual(path.join(root, 'cache/foo/bar'));
+        expect(repository.commits).toEqual({
+          'refs/remotes/origin/master': first,
+        });
+        expect(repository.shallowCommits).toEqual([]);
+        manager.release(repository);
+        fs.writeFileSync(marker, '');
+        second = commit('second');
+        return manager.prepare('foo/bar', refspecs.concat([
+          '+refs/heads/missing:refs/remotes/origin/missing',
+        ]));
+      }).then(function(repository) {
+        manager.release(repository);
+        expect(fs.existsSync(marker)).toBe(true);
+        expect(repository.commits).toEqual({
+          'refs/remotes/origin/master': second,
+          'refs/remotes/origin/missing': null,
+        });
+      });
+    });
+
+    it('DoesNotRetryFailedClonesRightAway', function() {
+      var manager = createManager({
+        getCloneUrl: function(repoName) {
+          return path.join(root, 'missing');
+        },
+      });
+      return manager.prepare('foo/bar', refspecs).then(function() {
+        throw new Error('The clone should have failed');
+      }, function(e) {
+        expect(e.message).toMatch(/^git clone failed/);
+        return manager.prepare('foo/bar', refspecs);
+      }).then(function() {
+        throw new Error('The clone should have failed');
+      }, function(e) {
+        expect(e.message).toMatch(/^Not cloning foo\/bar again/);
+      });
+    });
+
+    it('PrunesTheClonesThatAreNotUsed', function() {
+      commit('first');
+      var manager = createManager();
+      var inUse;
+      var removed = [];
+      var execFile = childProcess.execFile;
+      var recordRemovals = function() {
+        childProcess.execFile = function(file, args) {
+          if (file === 'rm') {
+            removed.push(args[args.length - 1]);
+          }
+          return execFile.apply(childProcess, arguments);
+        };
+      };
+      return manager.prepare('foo/used', refspecs).then(function(repository) {
+        inUse = repository;
+        return manager.prepare('foo/unused', refspecs);
+      }).then(function(repository) {
+        manager.release(repository);
+        return manager.prepare('foo/other', refspecs);
+      }).then(function(repository) {
+        manager.release(repository);
+        makeUnused(manager, 'foo/used');
+        makeUnused(manager, 'foo/unused');
+        recordRemovals();
+        manager._lastPrune = 0;
+        return manager.prepare('foo/other', refspecs);
+      }).then(function(repository) {
+        manager.release(repository);
+        expect(removed).toEqual([manager.getDirectory('foo/unused')]);
+        manager.release(inUse);
+        manager._lastPrune = 0;
+        return manager.prepare('foo/other', refspecs);
+      }).then(function(repository) {
+        manager.release(repository);
+        expect(removed).toEqual([
+          manager.getDirectory('foo/unused'),
+          inUse.directory,
+        ]);
+        return waitForPrune(inUse.directory);
+      }).then(function() {
+        childProcess.execFile = execFile;
+      }, function(e) {
+        childProcess.execFile = execFile;
+        throw e;
+      });
+    });
+
+    it('WaitsForThePruneBeforeUsingAClone', function() {
+      commit('first');
+      var manager = createManager();
+      var directory = manager.getDirectory('foo/pruned');
+      var removals = [];
+      var execFile = childProcess.execFile;
+      // Slow enough for the clone to be used while it's being deleted.
+      var slowRemovals = function() {
+        childProcess.execFile = function(file, args, callback) {
+          if (file !== 'rm') {
+            return execFile.apply(childProcess, arguments);
+          }
+          removals.push(new Promise(function(resolve) {
+            setTimeout(function() {
+              execFile.call(childProcess, file, args, function(error) {
+                callback(error);
+                resolve();
+              });
+            }, 200);
+          }));
+        };
+      };
+      return manager.prepare('foo/pruned', refspecs).then(function(repository) {
+        manager.release(repository);
+        return manager.prepare('foo/other', refspecs);
+      }).then(function(repository) {
+        manager.release(repository);
+        makeUnused(manager, 'foo/pruned');
+        slowRemovals();
+        manager._lastPrune = 0;
+        return manager.prepare('foo/other', refspecs);
+      }).then(function(repository) {
+        manager.release(repository);
+        expect(removals.length).toEqual(1);
+        return manager.prepare('foo/pruned', refspecs);
+      }).then(function(repository) {
+        manager.release(repository);
+        return Promise.all(removals);
+      }).then(function() {
+        childProcess.execFile = execFile;
+        // Cloned again once the prune was done.
+        expect(fs.existsSync(path.join(directory, 'mention-bot-last-used')))
+          .toBe(true);
+      }, function(e) {
+        childProcess.execFile = execFile;
+        throw e;
+      });
+    });
+
+    it('ClonesSubmodulesFromGitHub', function() {
+      commit('first');
+      var manager = createManager();
+      var prepare = function(url) {
+        return manager.prepareSubmodule('foo/bar', 'lib', url, refspecs)
+          .then(function(repository) {
+            manager.release(repository);
+            return repository.directory;
+          });
+      };
+      return prepare('../lib.git').then(function(directory) {
+        expect(directory).toEqual(manager.getDirectory('foo/lib'));
+        return prepare('git@github.com:acme/lib.git');
+      }).then(function(directory) {
+        expect(directory).toEqual(manager.getDirectory('acme/lib'));
+        return prepare('https://GitHub.com/acme/other.git');
+      }).then(function(directory) {
+        expect(directory).toEqual(manager.getDirectory('acme/other'));
+      });
+    });
+  });
+});
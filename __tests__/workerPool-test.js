@@ -0,0 +1,109 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+jest.dontMock('../workerPool.js');
+
+var WorkerPool = require('../workerPool.js');
+
+describe('WorkerPool', function() {
+  // Tasks that only finish when told to, and remember in which order they
+  // started.
+  var started;
+  var finishers;
+
+  function task(name, error) {
+    return function() {
+      started.push(name);
+      return new Promise(function(resolve, reject) {
+        finishers[name] = function() {
+          if (error) {
+            reject(error);
+          } else {
+            resolve(name);
+          }
+        };
+      });
+    };
+  }
+
+  function flush() {
+    return new Promise(function(resolve) {
+      setImmediate(resolve);
+    });
+  }
+
+  beforeEach(function() {
+    started = [];
+    finishers = {};
+  });
+
+  it('RunsAtMostConcurrencyTasks', function() {
+    var pool = new WorkerPool(2);
+    var results = [
+      pool.run(task('a')),
+      pool.run(task('b')),
+      pool.run(task('c')),
+      pool.run(task('d')),
+    ];
+    return flush().then(function() {
+      expect(started).toEqual(['a', 'b']);
+      finishers.b();
+      return flush();
+    }).then(function() {
+      expect(started).toEqual(['a', 'b', 'c']);
+      finishers.a();
+      finishers.c();
+      return flush();
+    }).then(function() {
+      expect(started).toEqual(['a', 'b', 'c', 'd']);
+      finishers.d();
+      return Promise.all(results);
+    }).then(function(values) {
+      expect(values).toEqual(['a', 'b', 'c', 'd']);
+    });
+  });
+
+  it('KeepsGoingAfterAFailedTask', function() {
+    var pool = new WorkerPool(1);
+    var error = new Error('Timed out');
+    error.timedOut = true;
+    var failed = pool.run(task('a', error)).then(function() {
+      throw new Error('Should have failed');
+    }, function(e) {
+      return e;
+    });
+    var next = pool.run(task('b'));
+    return flush().then(function() {
+      expect(started).toEqual(['a']);
+      finishers.a();
+      return failed;
+    }).then(function(e) {
+      expect(e.timedOut).toBe(true);
+      return flush();
+    }).then(function() {
+      expect(started).toEqual(['a', 'b']);
+      finishers.b();
+      return next;
+    }).then(function(value) {
+      expect(value).toEqual('b');
+    });
+  });
+
+  it('RunsAtLeastOneTask', function() {
+    var pool = new WorkerPool(0);
+    var result = pool.run(task('a'));
+    return flush().then(function() {
+      expect(started).toEqual(['a']);
+      finishers.a();
+      return result;
+    }).then(function(value) {
+      expect(value).toEqual('a');
+    });
+  });
+});
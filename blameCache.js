@@ -0,0 +1,167 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+var directories = require('./directories.js');
+var fs = require('fs');
+var path = require('path');
+
+var EXTENSION = '.blame';
+
+function callAsync(fn: Function, args: Array<any>): Promise<any> {
+  return new Promise(function(resolve, reject) {
+    fn.apply(fs, args.concat([function(error, result) {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    }]));
+  });
+}
+
+/**
+ * Blames of the same files at the same commit come up again and again: every
+ * update of a pull request, every pull request opened against the same base.
+ * They are kept on disk, one file per blame, and the least recently used ones
+ * are deleted when they take more than `maxBytes`. Using an entry updates the
+ * modification time of its file, which is what evictions are based on.
+ */
+class BlameCache {
+  directory: string;
+  maxBytes: number;
+  hits: number;
+  misses: number;
+  _size: ?number;
+  _tmpCount: number;
+  _disabled: boolean;
+
+  constructor(directory: string, maxBytes: number) {
+    this.directory = directory;
+    this.maxBytes = maxBytes;
+    this.hits = 0;
+    this.misses = 0;
+    this._size = null;
+    this._tmpCount = 0;
+    this._disabled = false;
+  }
+
+  /**
+   * `key` must contain everything that changes the output of the blame: the
+   * repository, the commit, the path, the options...
+   */
+  _getFileName(key: Object): string {
+    var hash = crypto.createHash('sha1').update(JSON.stringify(key)).digest('hex');
+    return path.join(this.directory, hash + EXTENSION);
+  }
+
+  async get(key: Object): Promise<?Array<string>> {
+    var fileName = this._getFileName(key);
+    var content;
+    try {
+      content = await callAsync(fs.readFile, [fileName, 'utf8']);
+    } catch (e) {
+      this.misses++;
+      return null;
+    }
+    this.hits++;
+    var now = new Date();
+    fs.utimes(fileName, now, now, function() {});
+    return content.split('\n');
+  }
+
+  async set(key: Object, lines: Array<string>): Promise<void> {
+    var fileName = this._getFileName(key);
+    var content = lines.join('\n');
+    var tmpFileName = fileName + '.' + process.pid + '.' + (this._tmpCount++);
+
+    await this._ensureSize();
+    if (this._disabled) {
+      return;
+    }
+    // Written next to its final place and moved there so that other jobs
+    // never read a partial blame.
+    await callAsync(fs.writeFile, [tmpFileName, content]);
+    await callAsync(fs.rename, [tmpFileName, fileName]);
+    this._size = (this._size || 0) + Buffer.byteLength(content);
+
+    if ((this._size || 0) > this.maxBytes) {
+      await this._evict();
+    }
+  }
+
+  async _ensureSize(): Promise<void> {
+    if (this._size !== null || this._disabled) {
+      return;
+    }
+    try {
+      await directories.makeDirectory(this.directory);
+    } catch (e) {
+      // Once is enough, rather than for every blame.
+      console.error(
+        'Could not create the blame cache in ' + this.directory + ', blames ' +
+        'won\'t be cached: ' + e.message
+      );
+      this._disabled = true;
+      return;
+    }
+    var entries = await this._listEntries();
+    this._size = entries.reduce(function(size, entry) {
+      return size + entry.size;
+    }, 0);
+  }
+
+  async _listEntries(): Promise<Array<{ fileName: string, size: number, time: number }>> {
+    var names = await callAsync(fs.readdir, [this.directory]);
+    var entries = [];
+    for (var i = 0; i < names.length; ++i) {
+      if (path.extname(names[i]) !== EXTENSION) {
+        continue;
+      }
+      var fileName = path.join(this.directory, names[i]);
+      try {
+        var stat = await callAsync(fs.stat, [fileName]);
+        entries.push({fileName: fileName, size: stat.size, time: stat.mtime.getTime()});
+      } catch (e) {
+        // Evicted by another job in the meantime.
+      }
+    }
+    return entries;
+  }
+
+  // Down to 90% of the limit, so that we don't have to do this again on the
+  // next blame.
+  async _evict(): Promise<void> {
+    var entries = await this._listEntries();
+    entries.sort(function(a, b) {
+      return a.time - b.time;
+    });
+    var size = entries.reduce(function(total, entry) {
+      return total + entry.size;
+    }, 0);
+    var evicted = 0;
+    for (var i = 0; i < entries.length && size > this.maxBytes * 0.9; ++i) {
+      try {
+        await callAsync(fs.unlink, [entries[i].fileName]);
+        evicted++;
+      } catch (e) {
+        // Evicted by another job in the meantime.
+      }
+      size -= entries[i].size;
+    }
+    this._size = size;
+    console.log('Evicted ' + evicted + ' blames from the cache');
+  }
+}
+
+module.exports = BlameCache;
@@ -0,0 +1,159 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ */
+
+'use strict';
+
+var unquoteGitPath = require('./diffParser').unquoteGitPath;
+
+export type BlameLine = {
+  sha: string,
+  // Line number in the file as of the commit that last changed it.
+  originalLine: number,
+  // Line number in the blamed file.
+  finalLine: number,
+  authorName: string,
+  authorMail: string,
+  // Seconds since the epoch.
+  authorTime: number,
+  committer: string,
+  committerMail: string,
+  committerTime: number,
+  summary: string,
+  // Path of the file in the commit that last changed the line, it differs
+  // from the blamed file when the line was moved or the file renamed.
+  filename: string,
+  // The commit is at the edge of the history that was searched, the line is
+  // older than that.
+  boundary: boolean,
+};
+
+type CommitInfo = {
+  authorName: string,
+  authorMail: string,
+  authorTime: number,
+  committer: string,
+  committerMail: string,
+  committerTime: number,
+  summary: string,
+  filename: string,
+  boundary: boolean,
+};
+
+function parseMail(value: string): string {
+  return value.replace(/[\<\>]/g, '');
+}
+
+/**
+ * Parses the output of `git blame --porcelain`. Each line is introduced by a
+ * header with its commit and line numbers. The information about the commit
+ * only follows the first time the commit appears, and its filename only when
+ * it changes.
+ * The result is indexed by final line number minus one: when only some ranges
+ * were blamed (-L), the other lines are left empty.
+ */
+function parseBlamePorcelain(lines: Array<string> | string): Array<BlameLine> {
+  if (typeof lines === 'string') {
+    lines = lines.split('\n');
+  }
+  var commits: { [key: string]: CommitInfo } = {};
+  var records = [];
+  var commit = null;
+  var originalLine = 0;
+  var finalLine = 0;
+
+  lines.forEach(function(line) {
+    if (line[0] === '\t') {
+      if (!commit) {
+        return;
+      }
+      var commitInfo = commits[commit];
+      records[finalLine - 1] = {
+        sha: commit,
+        originalLine: originalLine,
+        finalLine: finalLine,
+        authorName: commitInfo.authorName,
+        authorMail: commitInfo.authorMail,
+        authorTime: commitInfo.authorTime,
+        committer: commitInfo.committer,
+        committerMail: commitInfo.committerMail,
+        committerTime: commitInfo.committerTime,
+        summary: commitInfo.summary,
+        filename: commitInfo.filename,
+        boundary: commitInfo.boundary,
+      };
+      return;
+    }
+
+    var header = line.match(/^([0-9a-f]{40}|[0-9a-f]{64}) ([0-9]+) ([0-9]+)( [0-9]+)?$/);
+    if (header) {
+      commit = header[1];
+      originalLine = parseInt(header[2], 10);
+      finalLine = parseInt(header[3], 10);
+      if (!commits[commit]) {
+        commits[commit] = {
+          authorName: '',
+          authorMail: '',
+          authorTime: 0,
+          committer: '',
+          committerMail: '',
+          committerTime: 0,
+          summary: '',
+          filename: '',
+          boundary: false,
+        };
+      }
+      return;
+    }
+    if (!commit) {
+      return;
+    }
+
+    var info = commits[commit];
+    var space = line.indexOf(' ');
+    var key = space === -1 ? line : line.substring(0, space);
+    var value = space === -1 ? '' : line.substring(space + 1);
+    switch (key) {
+      case 'author':
+        info.authorName = value;
+        break;
+      case 'author-mail':
+        info.authorMail = parseMail(value);
+        break;
+      case 'author-time':
+        info.authorTime = parseInt(value, 10);
+        break;
+      case 'committer':
+        info.committer = value;
+        break;
+      case 'committer-mail':
+        info.committerMail = parseMail(value);
+        break;
+      case 'committer-time':
+        info.committerTime = parseInt(value, 10);
+        break;
+      case 'summary':
+        info.summary = value;
+        break;
+      case 'filename':
+        info.filename = unquoteGitPath(value);
+        break;
+      case 'boundary':
+        info.boundary = true;
+        break;
+    }
+  });
+
+  return records;
+}
+
+module.exports = {
+  parseBlamePorcelain: parseBlamePorcelain,
+};
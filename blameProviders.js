@@ -0,0 +1,187 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ */
+
+'use strict';
+
+import type {BlameLine} from './blameParser';
+
+// Everything needed to blame the files of a pull request.
+export type BlameContext = {
+  // 'fbsamples/bot-testing'
+  repository: string,
+  // The base commit of the pull request, or the name of the branch it targets
+  // when there is no clone to find it in.
+  revision: string,
+  // Null when the provider doesn't use a clone.
+  gitDir: ?string,
+  // The commits at which the history of a shallow clone has been cut off.
+  shallowCommits: Array<string>,
+  // Options given to every git blame.
+  args: Array<string>,
+  // Milliseconds after which a blame is given up on.
+  timeout: number,
+  // Everything besides the path and ranges that changes the output of the
+  // blames, or null if they can't be cached.
+  cacheKey: ?Object,
+};
+
+/**
+ * Where blames come from. The result is indexed by line number minus one,
+ * when `ranges` are given, the lines outside of them can be left empty.
+ */
+export type BlameProvider = {
+  // Without a clone, everything else that needs one (history of binary files,
+  // .gitattributes, ignored revisions...) is skipped.
+  usesClone: boolean,
+  blame(
+    context: BlameContext,
+    path: string,
+    ranges: ?Array<[number, number]>
+  ): Promise<Array<BlameLine>>,
+};
+
+var BLAME_QUERY = [
+  'query($owner: String!, $name: String!, $expression: String!, $path: String!) {',
+  '  repository(owner: $owner, name: $name) {',
+  '    object(expression: $expression) {',
+  '      ... on Commit {',
+  '        blame(path: $path) {',
+  '          ranges {',
+  '            startingLine',
+  '            endingLine',
+  '            commit {',
+  '              oid',
+  '              authoredDate',
+  '              committedDate',
+  '              messageHeadline',
+  '              author { name email }',
+  '              committer { name email }',
+  '            }',
+  '          }',
+  '        }',
+  '      }',
+  '    }',
+  '  }',
+  '}',
+].join('\n');
+
+function toSeconds(date: ?string): number {
+  return date ? Math.floor(Date.parse(date) / 1000) : 0;
+}
+
+function isInRanges(line: number, ranges: ?Array<[number, number]>): boolean {
+  return !ranges || ranges.some(function(range) {
+    return line >= range[0] && line <= range[1];
+  });
+}
+
+/**
+ * Converts the response of the `blame` GraphQL query. GitHub doesn't say
+ * where lines were in the commit that last changed them, nor the path of
+ * the file at the time, the current ones stand in for them.
+ */
+function parseGitHubBlame(
+  response: Object,
+  path: string,
+  ranges: ?Array<[number, number]>
+): Array<BlameLine> {
+  if (response.errors && response.errors.length > 0) {
+    throw new Error(response.errors[0].message);
+  }
+  var repository = response.data && response.data.repository;
+  var object = repository && repository.object;
+  if (!object || !object.blame) {
+    throw new Error('Could not find ' + path + ' in the repository');
+  }
+
+  var records = [];
+  object.blame.ranges.forEach(function(range) {
+    var commit = range.commit;
+    var author = commit.author || {};
+    var committer = commit.committer || {};
+    for (var line = range.startingLine; line <= range.endingLine; ++line) {
+      if (!isInRanges(line, ranges)) {
+        continue;
+      }
+      records[line - 1] = {
+        sha: commit.oid,
+        originalLine: line,
+        finalLine: line,
+        authorName: author.name || '',
+        authorMail: author.email || '',
+        authorTime: toSeconds(commit.authoredDate),
+        committer: committer.name || '',
+        committerMail: committer.email || '',
+        committerTime: toSeconds(commit.committedDate),
+        summary: commit.messageHeadline || '',
+        filename: path,
+        boundary: false,
+      };
+    }
+  });
+  return records;
+}
+
+/**
+ * Posts `body` to `url` and resolves to the response, rejects with `timedOut`
+ * set when it took more than `timeout` milliseconds.
+ */
+type PostJson = (
+  url: string,
+  headers: Array<string>,
+  body: Object,
+  timeout: number
+) => Promise<string>;
+
+/**
+ * Reads blames from the GitHub GraphQL API, for deployments that can't keep
+ * a clone of the repositories. `post` sends a JSON body to a url and resolves
+ * to the body of the response.
+ */
+class GitHubBlameProvider {
+  usesClone: boolean;
+  url: string;
+  token: string;
+  post: PostJson;
+
+  constructor(url: string, token: string, post: PostJson) {
+    this.usesClone = false;
+    this.url = url;
+    this.token = token;
+    this.post = post;
+  }
+
+  async blame(
+    context: BlameContext,
+    path: string,
+    ranges: ?Array<[number, number]>
+  ): Promise<Array<BlameLine>> {
+    console.log('Getting blame for ' + path + ' at ' + context.revision + ' from GitHub');
+    var parts = context.repository.split('/');
+    var response = await this.post(this.url, [
+      'Authorization: bearer ' + this.token,
+    ], {
+      query: BLAME_QUERY,
+      variables: {
+        owner: parts[0],
+        name: parts[1],
+        expression: context.revision,
+        path: path,
+      },
+    }, context.timeout);
+    return parseGitHubBlame(JSON.parse(response), path, ranges);
+  }
+}
+
+module.exports = {
+  GitHubBlameProvider: GitHubBlameProvider,
+  parseGitHubBlame: parseGitHubBlame,
+};
@@ -0,0 +1,493 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ */
+
+'use strict';
+
+export type ChangeType = 'added' | 'deleted' | 'modified' | 'renamed' | 'copied';
+
+export type FileInfo = {
+  path: string,
+  oldPath: string,
+  changeType: ChangeType,
+  // Line numbers in the original file.
+  deletedLines: Array<number>,
+  // Only counted, the lines of the new file are never blamed.
+  addedLineCount: number,
+  // Lines of the original file before which new lines have been inserted, for
+  // hunks that only add code.
+  insertionPoints: Array<number>,
+  hunkCount: number,
+  // Binary files don't have lines, their history is used instead of blame.
+  binary: boolean,
+  // For submodules, the commits the pointer moved between. One of them is
+  // null when the submodule is added or removed.
+  submodule: ?{ oldCommit: ?string, newCommit: ?string },
+  // Everything the parser didn't understand and had to skip.
+  warnings: Array<string>,
+};
+
+function startsWith(str, start) {
+  return str.substr(0, start.length) === start;
+}
+
+var C_ESCAPES = {
+  'a': 7, 'b': 8, 't': 9, 'n': 10, 'v': 11, 'f': 12, 'r': 13,
+  '"': 34, '\\': 92,
+};
+
+/**
+ * Paths with unusual characters are written by git between double quotes,
+ * using C-style escapes. Non-ASCII characters are escaped byte by byte in
+ * octal, "a/caf\303\251.js" is `a/café.js` encoded in UTF-8.
+ * Returns the unquoted path along with the length of its quoted form, or null
+ * if the string doesn't start with a valid quoted path.
+ */
+function readQuotedPath(str: string): ?{ path: string, length: number } {
+  if (str[0] !== '"') {
+    return null;
+  }
+  var chunks = [];
+  var literalStart = 1;
+  for (var i = 1; i < str.length; ++i) {
+    if (str[i] !== '"' && str[i] !== '\\') {
+      continue;
+    }
+    chunks.push(Buffer.from(str.substring(literalStart, i), 'utf8'));
+    if (str[i] === '"') {
+      return {
+        path: Buffer.concat(chunks).toString('utf8'),
+        length: i + 1,
+      };
+    }
+    var octal = str.substr(i + 1, 3).match(/^[0-7]{3}/);
+    if (octal) {
+      chunks.push(Buffer.from([parseInt(octal[0], 8)]));
+      i += 3;
+    } else if (C_ESCAPES.hasOwnProperty(str[i + 1])) {
+      chunks.push(Buffer.from([C_ESCAPES[str[i + 1]]]));
+      i += 1;
+    } else {
+      return null;
+    }
+    literalStart = i + 1;
+  }
+  return null;
+}
+
+function unquoteGitPath(str: string): string {
+  var quoted = readQuotedPath(str);
+  return quoted ? quoted.path : str;
+}
+
+function stripPrefix(path: string, prefix: string): ?string {
+  return startsWith(path, prefix) ? path.substr(prefix.length) : null;
+}
+
+/**
+ * diff --git a/path b/path
+ * Either side can be quoted. Unquoted paths aren't delimited in any way, so
+ * when they contain ` b/` the line is ambiguous. Unless the file is renamed or
+ * copied, both paths are the same and we can cut the line in the middle. For
+ * renames and copies, the `rename from`/`rename to` and `---`/`+++` lines that
+ * follow give us the real paths anyway.
+ */
+function parseDiffHeaderPaths(line: string): ?[string, string] {
+  var rest = line.substr('diff --git '.length);
+  var fromFile;
+  var toFile;
+
+  var quoted = readQuotedPath(rest);
+  if (quoted) {
+    fromFile = quoted.path;
+    toFile = unquoteGitPath(rest.substr(quoted.length + 1));
+  } else if (rest[rest.length - 1] === '"') {
+    var quoteIndex = rest.lastIndexOf(' "b/');
+    fromFile = rest.substr(0, quoteIndex);
+    toFile = unquoteGitPath(rest.substr(quoteIndex + 1));
+  } else {
+    var length = (rest.length - 1) / 2;
+    if (length === Math.floor(length) &&
+        rest[length] === ' ' &&
+        rest.substr(2, length - 2) === rest.substr(length + 3)) {
+      fromFile = rest.substr(0, length);
+      toFile = rest.substr(length + 1);
+    } else {
+      var matches = rest.match(/^(a\/.+?) (b\/.+)$/);
+      if (!matches) {
+        return null;
+      }
+      fromFile = matches[1];
+      toFile = matches[2];
+    }
+  }
+
+  fromFile = stripPrefix(fromFile, 'a/');
+  toFile = stripPrefix(toFile, 'b/');
+  if (!fromFile || !toFile) {
+    return null;
+  }
+  return [fromFile, toFile];
+}
+
+/**
+ * --- a/path or +++ b/path
+ * git appends a tab to the path when it contains a space, and uses /dev/null
+ * for the missing side of added and deleted files.
+ */
+function parseDiffLinePath(line: string, prefix: string): ?string {
+  var name = line.substr(4);
+  if (name === '/dev/null') {
+    return null;
+  }
+  if (name[0] === '"') {
+    name = unquoteGitPath(name);
+  } else {
+    name = name.replace(/\t$/, '');
+  }
+  return stripPrefix(name, prefix);
+}
+
+/**
+ * Diffs of big pull requests (generated code, vendored libraries...) can be
+ * hundreds of megabytes. The parser is fed one line at a time while the diff
+ * is being downloaded and only keeps the line numbers we need, the content of
+ * the hunks is never stored.
+ *
+ *   var parser = new DiffParser();
+ *   lines.forEach(line => parser.push(line));
+ *   var files = parser.end();
+ *
+ * If the diff stops in the middle of a file, the file is dropped and
+ * `truncated` is set so that callers know the list of files is incomplete.
+ */
+class DiffParser {
+  files: Array<FileInfo>;
+  truncated: boolean;
+
+  _file: ?FileInfo;
+  // 'header': extended header lines, right after `diff --git`
+  // 'plus': we've seen `---` and expect `+++`
+  // 'hunks': in the content of the file
+  // 'skip': ignoring everything until the next `diff --git`
+  _state: string;
+  _currentFromLine: number;
+  // Number of lines of the old and new file that the current hunk still
+  // covers. We need them to know where a hunk stops, a deleted line starting
+  // with `-- ` looks exactly like a header otherwise.
+  _fromRemaining: number;
+  _toRemaining: number;
+  _hunkHasDeletions: boolean;
+  _hunkInsertionPoints: Array<number>;
+  _previousLine: string;
+
+  constructor() {
+    this.files = [];
+    this.truncated = false;
+    this._file = null;
+    this._state = 'skip';
+  }
+
+  push(line: string) {
+    if (startsWith(line, 'diff --git ')) {
+      // Lines of a hunk always start with a space, `+`, `-` or `\`.
+      if (!this._isAtFileBoundary()) {
+        this._warn('Last hunk is shorter than announced');
+      }
+      this._endFile();
+      this._startFile(line);
+      return;
+    }
+
+    if (this._state === 'header') {
+      this._parseHeader(line);
+    } else if (this._state === 'plus') {
+      this._parsePlus(line);
+    } else if (this._state === 'hunks') {
+      this._parseHunkLine(line);
+    }
+  }
+
+  /**
+   * Returns all the files that have been completely parsed.
+   */
+  end(): Array<FileInfo> {
+    if (!this._isAtFileBoundary() || this._state === 'plus') {
+      var file = this._file;
+      if (file) {
+        console.error('Diff is truncated in the middle of ' + file.path);
+      }
+      this.truncated = true;
+      this._file = null;
+    }
+    this._endFile();
+    return this.files;
+  }
+
+  _isAtFileBoundary(): boolean {
+    return this._state !== 'hunks' ||
+      (this._fromRemaining <= 0 && this._toRemaining <= 0);
+  }
+
+  _warn(message: string) {
+    var file = this._file;
+    if (file) {
+      console.warn('Diff of ' + file.path + ': ' + message);
+      file.warnings.push(message);
+    }
+  }
+
+  // Once we've given up on a file, we still need to consume the rest of it so
+  // that the next ones can be parsed.
+  _skipToNextFile(message: ?string) {
+    if (message) {
+      this._warn(message);
+    }
+    this._state = 'skip';
+  }
+
+  _startFile(line: string) {
+    console.log('Parsing diff file');
+    // diff --git a/path b/path
+    var paths = parseDiffHeaderPaths(line);
+    if (!paths) {
+      console.warn('Skipping diff with an invalid header: ' + line);
+      this._state = 'skip';
+      return;
+    }
+    this._file = {
+      path: paths[1],
+      oldPath: paths[0],
+      changeType: 'modified',
+      deletedLines: [],
+      addedLineCount: 0,
+      insertionPoints: [],
+      hunkCount: 0,
+      binary: false,
+      submodule: null,
+      warnings: [],
+    };
+    this._state = 'header';
+  }
+
+  _endFile() {
+    this._endHunk();
+    if (this._file) {
+      this.files.push(this._file);
+    }
+    this._file = null;
+    this._state = 'skip';
+  }
+
+  /**
+   * Extended header lines, in any order:
+   *   old mode 100644 / new mode 100755
+   *   deleted file mode 100644 / new file mode 100644
+   *   similarity index 90% / dissimilarity index 90%
+   *   rename from path / rename to path
+   *   copy from path / copy to path
+   *   index sha..sha mode
+   * When a file has been renamed or copied, the paths are the ones we want to
+   * trust: we need to blame the file where it used to live, otherwise we lose
+   * the history of all the people that worked on it before it was moved.
+   */
+  _parseHeader(line: string) {
+    var file = this._file;
+    if (!file) {
+      return;
+    }
+
+    if (startsWith(line, 'rename from ')) {
+      file.oldPath = unquoteGitPath(line.substr('rename from '.length));
+      file.changeType = 'renamed';
+    } else if (startsWith(line, 'rename to ')) {
+      file.path = unquoteGitPath(line.substr('rename to '.length));
+      file.changeType = 'renamed';
+    } else if (startsWith(line, 'copy from ')) {
+      file.oldPath = unquoteGitPath(line.substr('copy from '.length));
+      file.changeType = 'copied';
+    } else if (startsWith(line, 'copy to ')) {
+      file.path = unquoteGitPath(line.substr('copy to '.length));
+      file.changeType = 'copied';
+    } else if (startsWith(line, 'old mode ') ||
+               startsWith(line, 'new mode ') ||
+               startsWith(line, 'deleted file mode ') ||
+               startsWith(line, 'new file mode ') ||
+               startsWith(line, 'index ')) {
+      if (startsWith(line, 'deleted file mode ')) {
+        file.changeType = 'deleted';
+      } else if (startsWith(line, 'new file mode ')) {
+        file.changeType = 'added';
+      }
+      // 160000 is the mode git uses for submodules.
+      if (line.match(/ 160000$/) && !file.submodule) {
+        file.submodule = {oldCommit: null, newCommit: null};
+      }
+    } else if (startsWith(line, 'similarity index ') ||
+               startsWith(line, 'dissimilarity index ')) {
+      // Nothing useful in there.
+    } else if (startsWith(line, 'Binary files') ||
+               startsWith(line, 'GIT binary patch')) {
+      // Binary files (mostly images) don't have any line we can use, the
+      // owners are found by looking at their history instead.
+      file.binary = true;
+      this._skipToNextFile();
+    } else if (startsWith(line, '--- ')) {
+      // --- a/path
+      // Those are the most reliable paths we have, unlike the `diff --git`
+      // line they are never ambiguous.
+      file.oldPath = parseDiffLinePath(line, 'a/') || file.oldPath;
+      this._state = 'plus';
+    } else {
+      this._skipToNextFile('Ignoring content after unexpected line `' + line + '`');
+    }
+  }
+
+  _parsePlus(line: string) {
+    var file = this._file;
+    if (!file) {
+      return;
+    }
+
+    // +++ b/path
+    if (!startsWith(line, '+++ ')) {
+      this._skipToNextFile('Ignoring content, expected a `+++` line instead of `' + line + '`');
+      return;
+    }
+    file.path = parseDiffLinePath(line, 'b/') || file.path;
+    this._state = 'hunks';
+    this._fromRemaining = 0;
+    this._toRemaining = 0;
+    this._hunkHasDeletions = false;
+    this._hunkInsertionPoints = [];
+  }
+
+  _parseHunkLine(line: string) {
+    var file = this._file;
+    if (!file) {
+      return;
+    }
+
+    // \ No newline at end of file
+    if (startsWith(line, '\\')) {
+      return;
+    }
+
+    if (this._fromRemaining <= 0 && this._toRemaining <= 0) {
+      // @@ -from_line,from_count +to_line,to_count @@ first line
+      var matches = line.match(/^\@\@ -([0-9]+),?([0-9]+)? \+([0-9]+),?([0-9]+)? \@\@/);
+      if (!matches) {
+        this._endHunk();
+        this._skipToNextFile('Ignoring the rest of the file after unexpected line `' + line + '`');
+        return;
+      }
+
+      var from_line = matches[1];
+      var from_count = matches[2];
+      var to_count = matches[4];
+
+      this._endHunk();
+      file.hunkCount++;
+      // Without any line of the original file, from_line is the one after
+      // which the new lines go: 0 for an empty file.
+      this._currentFromLine = from_count === '0' ? +from_line + 1 : +from_line;
+      this._fromRemaining = from_count === undefined ? 1 : +from_count;
+      this._toRemaining = to_count === undefined ? 1 : +to_count;
+      this._previousLine = line;
+      return;
+    }
+
+    if (file.submodule) {
+      this._parseSubmoduleLine(file.submodule, line);
+      return;
+    }
+
+    if (startsWith(line, '-')) {
+      file.deletedLines.push(this._currentFromLine);
+      this._hunkHasDeletions = true;
+      this._fromRemaining--;
+    } else if (startsWith(line, '+')) {
+      file.addedLineCount++;
+      // Consecutive new lines all share the same insertion point.
+      if (!startsWith(this._previousLine, '+')) {
+        this._hunkInsertionPoints.push(this._currentFromLine);
+      }
+      this._toRemaining--;
+    } else {
+      this._fromRemaining--;
+      this._toRemaining--;
+    }
+    if (!startsWith(line, '+')) {
+      this._currentFromLine++;
+    }
+    this._previousLine = line;
+  }
+
+  /**
+   * The content of a submodule is the commit it points to:
+   *   -Subproject commit 1234567890123456789012345678901234567890
+   *   +Subproject commit 89abcdef0123456789abcdef0123456789abcdef-dirty
+   */
+  _parseSubmoduleLine(
+    submodule: { oldCommit: ?string, newCommit: ?string },
+    line: string
+  ) {
+    var matches = line.match(/^([-+ ])Subproject commit ([0-9a-f]+)/);
+    if (!matches) {
+      this._endHunk();
+      this._skipToNextFile('Ignoring unexpected submodule line `' + line + '`');
+      return;
+    }
+    if (matches[1] !== '+') {
+      submodule.oldCommit = matches[2];
+      this._fromRemaining--;
+    }
+    if (matches[1] !== '-') {
+      submodule.newCommit = matches[2];
+      this._toRemaining--;
+    }
+  }
+
+  // We only care about the insertions of hunks that are purely additive,
+  // when lines are also deleted, their authors are already credited.
+  _endHunk() {
+    var file = this._file;
+    if (file && this._state === 'hunks' && !this._hunkHasDeletions) {
+      file.insertionPoints.push.apply(
+        file.insertionPoints,
+        this._hunkInsertionPoints
+      );
+    }
+    this._hunkHasDeletions = false;
+    this._hunkInsertionPoints = [];
+  }
+}
+
+function parseDiff(diff: string): Array<FileInfo> {
+  console.log('Parsing diff');
+  var parser = new DiffParser();
+  // The algorithm is designed to be best effort. If the http request failed
+  // for some reason and we get an empty file, we should not crash.
+  if (!diff || !diff.match(/^diff/)) {
+    return parser.end();
+  }
+
+  // Only the final new line can go, trailing spaces are part of the content.
+  diff.replace(/\n$/, '').split('\n').forEach(function(line) {
+    parser.push(line);
+  });
+  return parser.end();
+}
+
+module.exports = {
+  DiffParser: DiffParser,
+  parseDiff: parseDiff,
+  unquoteGitPath: unquoteGitPath,
+};
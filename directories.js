@@ -0,0 +1,57 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ */
+
+'use strict';
+
+var childProcess = require('child_process');
+var fs = require('fs');
+var path = require('path');
+
+/**
+ * Creates `directory` along with its missing parents, like `mkdir -p`.
+ * fs.mkdir only creates the parents itself since Node 10.
+ */
+function makeDirectory(directory: string): Promise<void> {
+  return new Promise(function(resolve, reject) {
+    fs.mkdir(directory, function(error) {
+      if (!error || error.code === 'EEXIST') {
+        resolve();
+      } else if (error.code === 'ENOENT' && path.dirname(directory) !== directory) {
+        makeDirectory(path.dirname(directory)).then(function() {
+          return makeDirectory(directory);
+        }).then(resolve, reject);
+      } else {
+        reject(error);
+      }
+    });
+  });
+}
+
+/**
+ * Deletes `directory` and everything in it, like `rm -rf`. Nothing happens
+ * if it doesn't exist.
+ */
+function removeDirectory(directory: string): Promise<void> {
+  return new Promise(function(resolve, reject) {
+    childProcess.execFile('rm', ['-rf', directory], function(error) {
+      if (error) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+module.exports = {
+  makeDirectory: makeDirectory,
+  removeDirectory: removeDirectory,
+};
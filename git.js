@@ -0,0 +1,228 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ */
+
+'use strict';
+
+var childProcess = require('child_process');
+var path = require('path');
+
+type GitOptions = {
+  cwd: string,
+  // Given after `--`, so that they are never mistaken for options, and
+  // checked to stay inside the repository.
+  paths?: Array<string>,
+  // `-c name=value` settings, which may contain credentials: they are not
+  // logged.
+  config?: Array<string>,
+  // Milliseconds, GIT_TIMEOUT seconds (2 minutes by default) if not given,
+  // 0 for no timeout.
+  timeout?: number,
+  // Bytes of output after which the command is stopped.
+  maxBuffer?: number,
+  // Written to the standard input of git, for the commands that read a list
+  // of objects from it. Only for `run`.
+  input?: string,
+};
+
+var DEFAULT_MAX_BUFFER = 10000 * 1024;
+
+function getDefaultTimeout(): number {
+  return Math.round((parseFloat(process.env.GIT_TIMEOUT || '') || 120) * 1000);
+}
+
+/**
+ * Paths come from diffs, they must be relative and stay inside the
+ * repository once resolved.
+ */
+function checkPath(filePath: string): string {
+  var normalized = path.posix.normalize(filePath);
+  if (
+    filePath === '' ||
+    filePath.indexOf('\0') !== -1 ||
+    path.posix.isAbsolute(filePath) ||
+    normalized === '..' ||
+    normalized.substr(0, 3) === '../'
+  ) {
+    throw new Error('Invalid path ' + JSON.stringify(filePath));
+  }
+  return filePath;
+}
+
+/**
+ * Revisions come from webhooks and configs, they must not be taken for
+ * options.
+ */
+function checkRevision(revision: string): string {
+  if (revision === '' || revision[0] === '-' || revision.indexOf('\0') !== -1) {
+    throw new Error('Invalid revision ' + JSON.stringify(revision));
+  }
+  return revision;
+}
+
+// The directory of `filePath` inside the clone in `root`.
+function resolvePath(root: string, filePath: string): string {
+  return path.join(root, checkPath(filePath));
+}
+
+// `revision:path`, to read a file at a given revision.
+function objectName(revision: string, filePath: string): string {
+  return checkRevision(revision) + ':' + checkPath(filePath);
+}
+
+function buildArgs(args: Array<string>, options: GitOptions): {
+  args: Array<string>,
+  description: string,
+} {
+  var config = [];
+  (options.config || []).forEach(function(setting) {
+    config.push('-c', setting);
+  });
+  var command = args.slice();
+  var prefix = [];
+  if (options.paths) {
+    // Paths are file names, not patterns.
+    prefix.push('--literal-pathspecs');
+    command.push('--');
+    options.paths.forEach(function(filePath) {
+      command.push(checkPath(filePath));
+    });
+  }
+  var fullArgs = config.concat(prefix, command);
+  var redacted = config.length > 0 ? ['-c <redacted>'] : [];
+  return {
+    args: fullArgs,
+    description: ['git'].concat(redacted, prefix, command).join(' ') +
+      ' in ' + options.cwd,
+  };
+}
+
+function getErrorReason(stderr: string, fallback: string): string {
+  var lines = stderr.split('\n').filter(function(line) {
+    return line.trim() !== '';
+  });
+  return lines.length > 0 ? lines[lines.length - 1] : fallback;
+}
+
+/**
+ * Runs git and resolves to its output. Failures are rejected with git's last
+ * error line, and a `timedOut` property when git took too long.
+ */
+function run(args: Array<string>, options: GitOptions): Promise<string> {
+  var command = buildArgs(args, options);
+  var timeout = options.timeout !== undefined ? options.timeout : getDefaultTimeout();
+  var maxBuffer = options.maxBuffer || DEFAULT_MAX_BUFFER;
+  console.log('Running ' + command.description);
+
+  return new Promise(function(resolve, reject) {
+    var child = childProcess.execFile('git', command.args, {
+      cwd: options.cwd,
+      encoding: 'utf8',
+      timeout: timeout,
+      maxBuffer: maxBuffer,
+    }, function(error, stdout, stderr) {
+      if (!error) {
+        resolve(stdout.toString());
+        return;
+      }
+      var timedOut = false;
+      var reason;
+      if (error.code === 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER' ||
+          /maxBuffer/.test(error.message)) {
+        reason = 'output is larger than ' + maxBuffer + ' bytes';
+      } else if (error.killed) {
+        timedOut = true;
+        reason = 'timed out after ' + timeout + 'ms';
+      } else {
+        reason = getErrorReason(stderr.toString(), 'exit code ' + error.code);
+      }
+      var gitError: Object = new Error('git ' + args[0] + ' failed: ' + reason);
+      gitError.timedOut = timedOut;
+      gitError.code = error.code;
+      reject(gitError);
+    });
+    if (options.input !== undefined) {
+      // Git exiting early is reported above, not as a broken pipe.
+      child.stdin.on('error', function() {});
+      child.stdin.end(options.input);
+    }
+  });
+}
+
+/**
+ * Runs git and gives each line of its output to `onLine` as soon as it has
+ * been received. Resolves to false if git failed or timed out.
+ */
+function stream(
+  args: Array<string>,
+  options: GitOptions,
+  onLine: (line: string) => void
+): Promise<boolean> {
+  var command = buildArgs(args, options);
+  var timeout = options.timeout !== undefined ? options.timeout : getDefaultTimeout();
+  console.log('Running ' + command.description);
+
+  return new Promise(function(resolve, reject) {
+    var child = childProcess.spawn('git', command.args, {cwd: options.cwd});
+    var timer = timeout > 0 ? setTimeout(function() {
+      console.error('Timed out running git ' + args[0]);
+      child.kill();
+    }, timeout) : null;
+    var received = 0;
+    var pending = '';
+    var failed = false;
+
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', function(chunk) {
+      if (failed) {
+        return;
+      }
+      received += Buffer.byteLength(chunk);
+      if (options.maxBuffer && received > options.maxBuffer) {
+        console.error('Output of git ' + args[0] + ' is larger than ' + options.maxBuffer + ' bytes');
+        failed = true;
+        child.kill();
+        return;
+      }
+      var lines = (pending + chunk).split('\n');
+      pending = lines.pop();
+      lines.forEach(function(line) {
+        onLine(line);
+      });
+    });
+    child.stderr.on('data', function(data) {
+      console.error('git: ' + data.toString().trim());
+    });
+    child.on('error', function(error) {
+      if (timer) {
+        clearTimeout(timer);
+      }
+      reject(error);
+    });
+    child.on('close', function(code) {
+      if (timer) {
+        clearTimeout(timer);
+      }
+      if (!failed && pending !== '') {
+        onLine(pending);
+      }
+      resolve(!failed && code === 0);
+    });
+  });
+}
+
+module.exports = {
+  checkPath: checkPath,
+  checkRevision: checkRevision,
+  objectName: objectName,
+  resolvePath: resolvePath,
+  run: run,
+  stream: stream,
+};
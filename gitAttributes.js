@@ -0,0 +1,106 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ */
+
+'use strict';
+
+var minimatch = require('minimatch');
+
+// Files with any of those attributes set are not worth blaming: generated
+// code and vendored libraries are not written by the people who commit them.
+var IGNORE_ATTRIBUTES = [
+  'linguist-generated',
+  'linguist-vendored',
+  'mention-bot-ignore',
+];
+
+type AttributeRule = {
+  pattern: string,
+  // true when set, false when unset and null when reset to unspecified.
+  attributes: { [key: string]: ?boolean },
+};
+
+/**
+ * Parses the content of a .gitattributes file, keeping only the attributes we
+ * care about:
+ *   *.lock linguist-generated
+ *   vendor/** linguist-vendored=true
+ *   vendor/ours/** -linguist-vendored
+ */
+function parseGitAttributes(content: string): Array<AttributeRule> {
+  var rules = [];
+  content.split('\n').forEach(function(line) {
+    line = line.trim();
+    if (line === '' || line[0] === '#') {
+      return;
+    }
+
+    var tokens = line.split(/\s+/);
+    var attributes = {};
+    tokens.slice(1).forEach(function(token) {
+      var name = token.replace(/^[-!]/, '').replace(/=.*$/, '');
+      if (IGNORE_ATTRIBUTES.indexOf(name) === -1) {
+        return;
+      }
+      if (token[0] === '!') {
+        attributes[name] = null;
+      } else if (token[0] === '-') {
+        attributes[name] = false;
+      } else {
+        var value = token.indexOf('=') === -1 ?
+          'true' :
+          token.substr(token.indexOf('=') + 1);
+        attributes[name] = value !== 'false';
+      }
+    });
+
+    if (Object.keys(attributes).length > 0) {
+      rules.push({pattern: tokens[0], attributes: attributes});
+    }
+  });
+  return rules;
+}
+
+/**
+ * Same matching rules as git: a pattern without a slash matches the name of
+ * the file at any depth, otherwise it is relative to the root of the repo.
+ */
+function matchesPattern(path: string, pattern: string): boolean {
+  if (pattern.indexOf('/') === -1) {
+    return minimatch(path, pattern, {matchBase: true, dot: true});
+  }
+  return minimatch(path, pattern.replace(/^\//, ''), {dot: true});
+}
+
+/**
+ * Later lines take precedence over earlier ones, like in git.
+ */
+function isIgnoredByAttributes(
+  rules: Array<AttributeRule>,
+  path: string
+): boolean {
+  var values = {};
+  rules.forEach(function(rule) {
+    if (!matchesPattern(path, rule.pattern)) {
+      return;
+    }
+    Object.keys(rule.attributes).forEach(function(name) {
+      values[name] = rule.attributes[name];
+    });
+  });
+  return IGNORE_ATTRIBUTES.some(function(name) {
+    return values[name] === true;
+  });
+}
+
+module.exports = {
+  parseGitAttributes: parseGitAttributes,
+  isIgnoredByAttributes: isIgnoredByAttributes,
+};
@@ -11,7 +11,20 @@
 
 'use strict';
 
+import type {BlameLine} from './blameParser';
+import type {BlameContext, BlameProvider} from './blameProviders';
+import type {FileInfo} from './diffParser';
+import type {PreparedRepository} from './repositoryManager';
+
+var BlameCache = require('./blameCache');
+var blameParser = require('./blameParser');
+var blameProviders = require('./blameProviders');
+var diffParser = require('./diffParser');
+var git = require('./git');
+var gitAttributes = require('./gitAttributes');
 var githubAuthCookies = require('./githubAuthCookies');
+var repositoryManager = require('./repositoryManager');
+var WorkerPool = require('./workerPool');
 var config = require('./package.json').config;
 var fs = require('fs');
 var minimatch = require('minimatch');
@@ -40,6 +53,89 @@ async function downloadFileAsync(url: string, cookies: ?string, headers: ?Array)
   });
 }
 
+/**
+ * Runs a command and gives each line of its output to `onLine` as soon as it
+ * has been received, instead of buffering the whole output in memory.
+ * Resolves to false if the command didn't complete successfully, rejects if
+ * it couldn't be started at all.
+ */
+async function streamCommandAsync(
+  cmd: string,
+  args: Array<string>,
+  options: Object,
+  onLine: (line: string) => void
+): Promise<boolean> {
+  return new Promise(function(resolve, reject) {
+    var child = require('child_process').spawn(cmd, args, options);
+    var pending = '';
+
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', function(chunk) {
+      var lines = (pending + chunk).split('\n');
+      pending = lines.pop();
+      lines.forEach(function(line) {
+        onLine(line);
+      });
+    });
+    child.stderr.on('data', function(data) {
+      console.error(cmd + ': ' + data.toString().trim());
+    });
+    // Emitted instead of 'close' when the command can't be spawned, curl
+    // being missing or too many files being open for example.
+    child.on('error', reject);
+    // Only once the output has been read entirely.
+    child.on('close', function(code) {
+      if (pending !== '') {
+        onLine(pending);
+      }
+      resolve(code === 0);
+    });
+  });
+}
+
+/**
+ * Same as downloadFileAsync except that the response is streamed, see
+ * streamCommandAsync.
+ */
+async function streamFileAsync(
+  url: string,
+  cookies: ?string,
+  headers: ?Array<string>,
+  onLine: (line: string) => void
+): Promise<boolean> {
+  // Without --fail, error pages would be given to `onLine` like any other
+  // response.
+  var args = ['--silent', '--show-error', '--fail', '-L', url];
+
+  if (cookies) {
+    args.push('-H', `Cookie: ${cookies}`);
+  }
+  if (headers) {
+    headers.forEach(function (header) {
+      args.push('-H', header);
+    });
+  }
+
+  return streamCommandAsync('curl', args, {}, onLine);
+}
+
+async function execFileAsync(
+  cmd: string,
+  args: Array<string>,
+  options: Object
+): Promise<string> {
+  return new Promise(function(resolve, reject) {
+    require('child_process')
+      .execFile(cmd, args, {encoding: 'utf8', ...options}, function(error, stdout, stderr) {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(stdout.toString());
+        }
+      });
+  });
+}
+
 async function readFileAsync(name: string, encoding: string): Promise<string> {
   return new Promise(function(resolve, reject) {
     fs.readFile(name, encoding, function(err, data) {
@@ -52,157 +148,373 @@ async function readFileAsync(name: string, encoding: string): Promise<string> {
   });
 }
 
-type FileInfo = {
-  path: string,
-  deletedLines: Array<number>,
-};
-
 type WhitelistUser = {
   name: string,
   files: Array<string>
 };
 
-function startsWith(str, start) {
-  return str.substr(0, start.length) === start;
+/**
+ * The author of each line of the blame, see blameParser for everything else
+ * there is to know about them.
+ */
+function parseBlame(lines: Array<string> | string): Array<string> {
+  console.log('Parsing blame');
+  return blameParser.parseBlamePorcelain(lines).map(function(line) {
+    return line.authorMail;
+  });
 }
 
-function parseDiffFile(lines: Array<string>): FileInfo {
-  console.log('Parsing diff file');
-  var deletedLines = [];
+// Partial clones fetch the objects they are missing when a command needs
+// them, which takes the same credentials as cloning.
+function getGitOptions(gitDir: string, options?: Object): Object {
+  return {...options, cwd: gitDir, config: getGitConfig()};
+}
 
-  // diff --git a/path b/path
-  var line = lines.pop();
-  if (!line.match(/^diff --git a\//)) {
-    throw new Error('Invalid line, should start with `diff --git a/`, instead got \n' + line + '\n');
-  }
-  var fromFile = line.replace(/^diff --git a\/(.+) b\/.+/g, '$1');
+async function getBlame(
+  gitDir: string,
+  path: string,
+  revision: string,
+  blameArgs: Array<string>,
+  timeout: number,
+  ranges: ?Array<[number, number]>
+): Promise<Array<string>> {
+  console.log('Getting blame for ' + path + ' at ' + revision);
 
-  // index sha..sha mode
-  line = lines.pop();
-  if (startsWith(line, 'deleted file') ||
-      startsWith(line, 'new file')) {
-    line = lines.pop();
+  var args = ['blame', '-p'].concat(blameArgs);
+  (ranges || []).forEach(function(range) {
+    args.push('-L', range[0] + ',' + range[1]);
+  });
+  args.push(git.checkRevision(revision));
+
+  try {
+    var output = await git.run(args, getGitOptions(gitDir, {
+      paths: [path],
+      timeout: timeout,
+      maxBuffer: 50000 * 1024,
+    }));
+  } catch (e) {
+    console.error('Error running git blame -p ' + path + ': ' + e.message);
+    throw e;
   }
+  console.log('got blame for ' + path);
+  return output.split('\n');
+}
 
-  line = lines.pop();
-  if (startsWith(line, 'Binary files')) {
-    // We just ignore binary files (mostly images). If we want to improve the
-    // precision in the future, we could look at the history of those files
-    // to get more names.
-  } else if (startsWith(line, '--- ')) {
-    // +++ path
-    line = lines.pop();
-    if (!line.match(/^\+\+\+ /)) {
-      throw new Error('Invalid line, should start with `+++`, instead got \n' + line + '\n');
+async function getHistory(
+  gitDir: string,
+  path: string,
+  revision: string,
+  maxCommits: number,
+  shallowCommits: Array<string>
+): Promise<Array<string>> {
+  console.log('Getting history for ' + path + ' at ' + revision);
+
+  var output = await git.run([
+    'log', '--follow', '--no-merges', '--format=%H %ae',
+    '-n', String(maxCommits), git.checkRevision(revision),
+  ], getGitOptions(gitDir, {paths: [path], maxBuffer: 1000 * 1024}));
+  // One author email per commit, most recent first. In a shallow clone, the
+  // commit the history stops at seems to add every file, its author didn't
+  // necessarily touch this one.
+  var emails = [];
+  output.split('\n').forEach(function(line) {
+    var separator = line.indexOf(' ');
+    if (separator === -1) {
+      return;
     }
+    if (shallowCommits.indexOf(line.substr(0, separator)) !== -1) {
+      console.log('The history of ' + path + ' is cut off by the shallow clone');
+      return;
+    }
+    emails.push(line.substr(separator + 1));
+  });
+  return emails;
+}
 
-    var currentFromLine = 0;
-    while (lines.length > 0) {
-      line = lines.pop();
-      if (startsWith(line, 'diff --git')) {
-        lines.push(line);
-        break;
-      }
+/**
+ * The lines whose authors matter: the deleted ones and the ones surrounding
+ * insertions, merged into ranges for `git blame -L`. The end of the last range
+ * may be past the end of the file, git doesn't mind.
+ */
+function getBlameRanges(
+  file: FileInfo,
+  contextLines: number
+): Array<[number, number]> {
+  var ranges = file.deletedLines.map(function(line) {
+    return [line, line];
+  });
+  if (contextLines > 0) {
+    file.insertionPoints.forEach(function(insertionPoint) {
+      ranges.push([
+        Math.max(insertionPoint - contextLines, 1),
+        insertionPoint + contextLines - 1,
+      ]);
+    });
+  }
+  ranges.sort(function(a, b) {
+    return a[0] - b[0];
+  });
 
-      // @@ -from_line,from_count +to_line,to_count @@ first line
-      if (startsWith(line, '@@')) {
-        var matches = line.match(/^\@\@ -([0-9]+),?([0-9]+)? \+([0-9]+),?([0-9]+)? \@\@/);
-        if (!matches) {
-          continue;
-        }
+  var merged = [];
+  ranges.forEach(function(range) {
+    var last = merged[merged.length - 1];
+    if (last && range[0] <= last[1] + 1) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([range[0], range[1]]);
+    }
+  });
+  return merged;
+}
 
-        var from_line = matches[1];
-        var from_count = matches[2];
-        var to_line = matches[3];
-        var to_count = matches[4];
+var cache = undefined;
+var blamePool = null;
 
-        currentFromLine = +from_line;
-        continue;
-      }
+/**
+ * Blames are run BLAME_CONCURRENCY (4 by default) at a time, for all the pull
+ * requests being processed, so that big pull requests or many events at once
+ * don't start dozens of git processes or API requests, see blameInPool.
+ */
+function getBlamePool(): WorkerPool {
+  if (!blamePool) {
+    blamePool = new WorkerPool(
+      parseInt(process.env.BLAME_CONCURRENCY || '', 10) || 4
+    );
+  }
+  return blamePool;
+}
 
-      if (startsWith(line, '-')) {
-        deletedLines.push(currentFromLine);
-      }
-      if (!startsWith(line, '+')) {
-        currentFromLine++;
-      }
-    }
+// Seconds after which a blame is given up on, BLAME_TIMEOUT or a minute.
+function getBlameTimeout(): number {
+  return Math.round((parseFloat(process.env.BLAME_TIMEOUT || '') || 60) * 1000);
+}
+
+/**
+ * Blames are cached under BLAME_CACHE_DIR when it's set, up to
+ * BLAME_CACHE_MAX_BYTES (200MB by default).
+ */
+function getBlameCache(): ?BlameCache {
+  if (cache === undefined) {
+    cache = process.env.BLAME_CACHE_DIR ?
+      new BlameCache(
+        process.env.BLAME_CACHE_DIR,
+        parseInt(process.env.BLAME_CACHE_MAX_BYTES || '', 10) || 200 * 1024 * 1024
+      ) :
+      null;
   }
+  return cache;
+}
 
-  return {
-    path: fromFile,
-    deletedLines: deletedLines,
+async function blameFile(
+  context: BlameContext,
+  path: string,
+  ranges: ?Array<[number, number]>
+): Promise<Array<string>> {
+  var gitDir = context.gitDir;
+  if (!gitDir) {
+    throw new Error('There is no clone to blame ' + path + ' in');
+  }
+  var runBlame = function() {
+    return getBlame(
+      gitDir,
+      path,
+      context.revision,
+      context.args,
+      context.timeout,
+      ranges
+    );
   };
+
+  var blameCache = getBlameCache();
+  if (!blameCache || !context.cacheKey) {
+    return runBlame();
+  }
+
+  var key = {context: context.cacheKey, path: path, ranges: ranges || null};
+  var cached = await blameCache.get(key);
+  if (cached) {
+    console.log('Blame cache hit for ' + path);
+    return cached;
+  }
+  console.log('Blame cache miss for ' + path);
+  var blame = await runBlame();
+  try {
+    await blameCache.set(key, blame);
+  } catch (e) {
+    console.warn('Could not cache the blame of ' + path + ': ' + e.message);
+  }
+  return blame;
 }
 
-function parseDiff(diff: string): Array<FileInfo> {
-  console.log('Parsing diff');
-  var files = [];
-  // The algorithm is designed to be best effort. If the http request failed
-  // for some reason and we get an empty file, we should not crash.
-  if (!diff || !diff.match(/^diff/)) {
-    return files;
+/**
+ * In a shallow clone, the lines last changed before the history starts are
+ * blamed on the commit it starts at, whose author likely didn't write them.
+ * They are left out, like lines that couldn't be blamed.
+ */
+function removeShallowLines(
+  lines: Array<BlameLine>,
+  shallowCommits: Array<string>,
+  path: string
+): Array<BlameLine> {
+  if (shallowCommits.length === 0) {
+    return lines;
   }
+  var removed = 0;
+  var result = [];
+  lines.forEach(function(line, index) {
+    if (shallowCommits.indexOf(line.sha) !== -1) {
+      removed++;
+    } else {
+      result[index] = line;
+    }
+  });
+  if (removed > 0) {
+    console.log(
+      'Ignoring ' + removed + ' lines of ' + path + ' older than the history ' +
+      'of the shallow clone'
+    );
+  }
+  return result;
+}
 
-  var lines = diff.trim().split('\n');
-  // Hack Array doesn't have shift/unshift to work from the beginning of the
-  // array, so we reverse the entire array in order to be able to use pop/add.
-  lines.reverse();
+var gitBlameProvider: BlameProvider = {
+  usesClone: true,
+  blame: async function(context, path, ranges) {
+    var blame = await blameFile(context, path, ranges);
+    var lines = blameParser.parseBlamePorcelain(blame);
+    return removeShallowLines(lines, context.shallowCommits, path);
+  },
+};
+
+var githubBlameProvider = null;
+var CURL_TIMED_OUT = 28;
 
-  while (lines.length > 0) {
-    files.push(parseDiffFile(lines));
+async function postJsonAsync(
+  url: string,
+  headers: Array<string>,
+  body: Object,
+  timeout: number
+): Promise<string> {
+  var args = [
+    '--silent', '--show-error', '-L', '-X', 'POST',
+    '--max-time', String(timeout / 1000),
+  ];
+  headers.concat(['Content-Type: application/json']).forEach(function(header) {
+    args.push('-H', header);
+  });
+  args.push('--data-binary', JSON.stringify(body), url);
+  try {
+    return await execFileAsync('curl', args, {maxBuffer: 50000 * 1024});
+  } catch (e) {
+    // Same as the errors of git.run, see recordFailure.
+    e.timedOut = e.code === CURL_TIMED_OUT;
+    throw e;
   }
+}
 
-  return files;
+/**
+ * Blames come from the local clone, unless BLAME_PROVIDER is 'github', in
+ * which case they are read from the GraphQL API and no clone is needed.
+ * Setting `blameProvider` on the module replaces both, tests use it to
+ * provide blames from fixtures.
+ */
+function getBlameProvider(): BlameProvider {
+  if (module.exports.blameProvider) {
+    return module.exports.blameProvider;
+  }
+  if (process.env.BLAME_PROVIDER !== 'github') {
+    return gitBlameProvider;
+  }
+  if (!githubBlameProvider) {
+    var apiPrefix = (config.ghe.pathPrefix || '').replace(/\/v3\/?$/, '');
+    githubBlameProvider = new blameProviders.GitHubBlameProvider(
+      (config.ghe.protocol || 'https') + '://' +
+        (config.ghe.host || 'api.github.com') + apiPrefix + '/graphql',
+      process.env.GITHUB_TOKEN || '',
+      postJsonAsync
+    );
+  }
+  return githubBlameProvider;
 }
 
-function parseBlame(lines: Array<string>): Array<string> {
-  console.log('Parsing blame');
-  var lineNumber = 1;
-  var author;
-  var authors = [];
-  
-  lines.forEach(function(line) {
-    if (line.substring(0, 11) === 'author-mail') {
-      author = line.substring(12).replace(/[\<\>]/g, '');
-      
-      if (authors.length === 0) {
-        authors.push(author);
-      }
-    }
-    else if (line.match(/^[0-9a-f]{40} /) && author) {
-      authors.push(author);
-    }
+function blameInPool(
+  provider: BlameProvider,
+  context: BlameContext,
+  path: string,
+  ranges: ?Array<[number, number]>
+): Promise<Array<BlameLine>> {
+  return getBlamePool().run(function() {
+    return provider.blame(context, path, ranges);
   });
+}
 
-  return authors;
+async function getRangeBlame(
+  provider: BlameProvider,
+  context: BlameContext,
+  file: FileInfo,
+  contextLines: number
+): Promise<Array<BlameLine>> {
+  var ranges = getBlameRanges(file, contextLines);
+  if (ranges.length === 0) {
+    return [];
+  }
+  return blameInPool(provider, context, file.oldPath, ranges);
 }
 
-async function getBlame(path: string): Promise<string> {
-  console.log('Getting blame for ' + path);
+// Who gets credited for a line of the blame, and how many points each.
+type LineCredit = (blameLine: BlameLine) => Array<[string, number]>;
 
-  return new Promise(function(resolve, reject) {
-    console.log('Attempting to run git blame -p ' + path + ' in directory ' + process.env.GITHUB_DIR);
-    var cmd = 'git';
-    require('child_process')
-      .execFile(cmd, ['blame', '-p', path], {cwd: process.env.GITHUB_DIR, encoding: 'utf8', maxBuffer: 50000 * 1024}, function(error, stdout, stderr) {
-        if (error) {
-          console.error('Error running git blame -p ' + path);
-          reject(error);
-        } else {
-          var output = stdout.toString();
-          console.log('got blame for ' + path);
-          resolve(output.split('\n').map(function(line) {
-            return line.replace(/^[0-9a-f]{8} \(<([^>]*)>.*$/, '$1');
-          }));
+/**
+ * Pair programmed commits list the other authors in Co-authored-by trailers.
+ * Depending on `coAuthorCredit`, they get nothing ('none'), the same point as
+ * the author ('duplicate'), or the point is shared between all of them
+ * ('split').
+ *
+ * Someone who wrote a line years ago has probably forgotten about it. With
+ * `ownershipHalfLifeDays`, a line is worth half a point when it is that old,
+ * a quarter of a point when it's twice as old, and so on.
+ */
+function getLineCredit(
+  coAuthors: { [key: string]: Array<string> },
+  repoConfig: Object,
+  now: number
+): LineCredit {
+  var mode = repoConfig.coAuthorCredit || 'none';
+  var halfLife = (repoConfig.ownershipHalfLifeDays || 0) * 24 * 60 * 60;
+  return function(blameLine) {
+    var names = [blameLine.authorMail];
+    if (mode !== 'none') {
+      (coAuthors[blameLine.sha] || []).forEach(function(name) {
+        if (names.indexOf(name) === -1) {
+          names.push(name);
         }
       });
+    }
+    var points = mode === 'split' ? 1 / names.length : 1;
+    if (halfLife > 0) {
+      var age = Math.max(now / 1000 - blameLine.authorTime, 0);
+      points *= Math.pow(0.5, age / halfLife);
+    }
+    return names.map(function(name) {
+      return [name, points];
+    });
+  };
+}
+
+function addLineCredit(
+  owners: { [key: string]: number },
+  blameLine: BlameLine,
+  lineCredit: LineCredit
+) {
+  lineCredit(blameLine).forEach(function(credit) {
+    owners[credit[0]] = (owners[credit[0]] || 0) + credit[1];
   });
 }
 
 function getDeletedOwners(
   files: Array<FileInfo>,
-  blames: { [key: string]: Array<string> }
+  blames: { [key: string]: Array<BlameLine> },
+  lineCredit: LineCredit
 ): { [key: string]: number } {
   var owners = {};
   files.forEach(function(file) {
@@ -217,11 +529,44 @@ function getDeletedOwners(
       // only read the first n bytes...
       // Since the output of the algorithm is best effort, it's better to just
       // swallow errors and have a less accurate implementation than to crash.
-      var name = blame[line - 1];
-      if (!name) {
+      var blameLine = blame[line - 1];
+      if (!blameLine) {
         return;
       }
-      owners[name] = (owners[name] || 0) + 1;
+      addLineCredit(owners, blameLine, lineCredit);
+    });
+  });
+  return owners;
+}
+
+function getInsertionOwners(
+  files: Array<FileInfo>,
+  blames: { [key: string]: Array<BlameLine> },
+  contextLines: number,
+  lineCredit: LineCredit
+): { [key: string]: number } {
+  var owners = {};
+  files.forEach(function(file) {
+    var blame = blames[file.path];
+    if (!blame) {
+      return;
+    }
+    // Two insertions close to each other share some of their surrounding
+    // lines, we only want to count those once.
+    var surroundingLines = new Set();
+    file.insertionPoints.forEach(function(insertionPoint) {
+      var start = Math.max(insertionPoint - contextLines, 1);
+      var end = Math.min(insertionPoint + contextLines - 1, blame.length);
+      for (var line = start; line <= end; ++line) {
+        surroundingLines.add(line);
+      }
+    });
+    surroundingLines.forEach(function(line) {
+      var blameLine = blame[line - 1];
+      if (!blameLine) {
+        return;
+      }
+      addLineCredit(owners, blameLine, lineCredit);
     });
   });
   return owners;
@@ -229,7 +574,8 @@ function getDeletedOwners(
 
 function getAllOwners(
   files: Array<FileInfo>,
-  blames: { [key: string]: Array<string> }
+  blames: { [key: string]: Array<BlameLine> },
+  lineCredit: LineCredit
 ): { [key: string]: number } {
   var owners = {};
   files.forEach(function(file) {
@@ -238,16 +584,27 @@ function getAllOwners(
       return;
     }
     for (var i = 0; i < blame.length; ++i) {
-      var name = blame[i];
-      if (!name) {
-        return;
+      if (!blame[i]) {
+        continue;
       }
-      owners[name] = (owners[name] || 0) + 1;
+      addLineCredit(owners, blame[i], lineCredit);
     }
   });
   return owners;
 }
 
+function getHistoryOwners(
+  histories: { [key: string]: Array<string> }
+): { [key: string]: number } {
+  var owners = {};
+  Object.keys(histories).forEach(function(path) {
+    histories[path].forEach(function(name) {
+      owners[name] = (owners[name] || 0) + 1;
+    });
+  });
+  return owners;
+}
+
 function getSortedOwners(
   owners: { [key: string]: number }
 ): Array<string> {
@@ -260,6 +617,100 @@ function getSortedOwners(
   return sorted_owners;
 }
 
+/**
+ * The url of the submodule at `submodulePath`, as listed in the .gitmodules
+ * file of `revision`.
+ */
+async function getSubmoduleUrl(
+  gitDir: string,
+  revision: string,
+  submodulePath: string
+): Promise<string> {
+  var blob = git.objectName(revision, '.gitmodules');
+  var paths = await git.run([
+    'config', '--blob', blob, '--get-regexp', '^submodule\\..*\\.path$',
+  ], getGitOptions(gitDir));
+  var names = paths.split('\n').filter(function(line) {
+    return line.substr(line.indexOf(' ') + 1) === submodulePath;
+  }).map(function(line) {
+    return line.substr(0, line.indexOf(' ')).replace(/\.path$/, '');
+  });
+  if (names.length === 0) {
+    throw new Error(submodulePath + ' is not in .gitmodules');
+  }
+  var url = await git.run([
+    'config', '--blob', blob, '--get', names[0] + '.url',
+  ], getGitOptions(gitDir));
+  return url.trim();
+}
+
+/**
+ * The commits pulled in by a submodule update are in another repository,
+ * which the repository manager prepares like the one of the pull request.
+ */
+async function getSubmoduleCommitAuthors(
+  repoURI: string,
+  repository: PreparedRepository,
+  revision: string,
+  file: FileInfo,
+  maxCommits: number
+): Promise<Array<string>> {
+  var submodule = file.submodule;
+  // When a submodule is added or removed, there is no range of commits.
+  if (!submodule || !submodule.oldCommit || !submodule.newCommit) {
+    return [];
+  }
+  var oldCommit = git.checkRevision(submodule.oldCommit);
+  var newCommit = git.checkRevision(submodule.newCommit);
+  console.log('Getting commits of submodule ' + file.path);
+
+  var url = await getSubmoduleUrl(repository.directory, revision, file.path);
+  var submoduleRepository = await getRepositoryManager().prepareSubmodule(
+    repoURI,
+    file.path,
+    url,
+    [oldCommit, newCommit].map(function(sha) {
+      return '+' + sha + ':refs/mention-bot/commits/' + sha;
+    })
+  );
+  var output;
+  try {
+    output = await git.run([
+      'log', '--no-merges', '--format=%ae', '-n', String(maxCommits),
+      oldCommit + '..' + newCommit,
+    ], getGitOptions(submoduleRepository.directory, {maxBuffer: 1000 * 1024}));
+  } finally {
+    getRepositoryManager().release(submoduleRepository);
+  }
+  return output.split('\n').filter(function(email) {
+    return email !== '';
+  });
+}
+
+/**
+ * `submoduleOwners` maps the path of a submodule either to a list of users
+ * that are always mentioned when it's updated, or to "commits" to find the
+ * authors of the commits pulled in by the update.
+ */
+function getSubmoduleOwners(
+  files: Array<FileInfo>,
+  submoduleOwners: ?{ [key: string]: Array<string> | string }
+): Array<string> {
+  var owners = [];
+  files.forEach(function(file) {
+    var users = file.submodule && submoduleOwners && submoduleOwners[file.path];
+    if (!Array.isArray(users)) {
+      return;
+    }
+    users.forEach(function(user) {
+      if (owners.indexOf(user) === -1) {
+        owners.push(user);
+      }
+    });
+  });
+  return owners;
+}
+
 function getDefaultOwners(
   files: Array<FileInfo>,
   whitelist: Array<WhitelistUser>
@@ -311,6 +762,28 @@ async function fetch(url: string, headers): Promise<string> {
   return readFileAsync(cache_key, 'utf8');
 }
 
+/**
+ * Streaming version of fetch, see streamFileAsync.
+ */
+async function fetchLines(
+  url: string,
+  headers,
+  onLine: (line: string) => void
+): Promise<boolean> {
+  if (!module.exports.enableCachingForDebugging) {
+    return streamFileAsync(url, githubAuthCookies, headers, onLine);
+  }
+
+  // The files used while debugging are small enough to be read at once.
+  var file = await fetch(url, headers);
+  if (file) {
+    file.replace(/\n$/, '').split('\n').forEach(function(line) {
+      onLine(line);
+    });
+  }
+  return true;
+}
+
 async function getOwnerOrgs(
   owner: string,
   github: Object
@@ -418,23 +891,41 @@ async function blankIfDead(
  * file around and absorb all the blame...
  *
  * But, not all pull requests modify code, many of them just add new lines.
- * I first played with giving credit to people that blamed the lines around
- * but it was unclear how to spread out the credit.
+ * The people that wrote the code right around the insertion are likely to
+ * have context, but the signal is weaker than for a deleted line, so they
+ * only get a fraction of a point (`insertionContextWeight`) for each of the
+ * `insertionContextLines` lines above and below.
  * A much dumber strategy but which has proven to be effective is to
  * completely ignore new lines and instead find the people that are blamed
  * for the biggest number of lines in the file.
  *
- * Given those two observations, the algorithm is as follow:
+ * Given those observations, the algorithm is as follow:
  *  - For each line that has been deleted, give 1 ponumber to the blamed author
  *    in a 'deletedOwners' pool.
+ *  - For each line surrounding code inserted by a purely additive hunk, give
+ *    `insertionContextWeight` point to the blamed author in that same
+ *    'deletedOwners' pool.
  *  - For each file that has been touched, for each line in that file, give 1
  *    ponumber to the blamed author in a 'allOwners' pool.
+ *  - When a submodule configured with "commits" in `submoduleOwners` is
+ *    updated, give 1 point per commit pulled in to its author in the
+ *    'deletedOwners' pool.
+ *  - Binary files, and files that can't be blamed, don't have lines. For each
+ *    of their `maxHistoryCommits` most recent commits, give 1 point to the
+ *    author in that same 'allOwners' pool.
+ *  - With `coAuthorCredit`, the co-authors of a commit are credited for its
+ *    lines along with its author.
+ *  - With `ownershipHalfLifeDays`, blamed lines are worth less the older
+ *    they are.
  *  Once you've got those two pools, sort them by number of points, dedupe
  *  them, concat them and finally take the first 3 names.
  */
 async function guessOwners(
   files: Array<FileInfo>,
-  blames: { [key: string]: Array<string> },
+  blames: { [key: string]: Array<BlameLine> },
+  histories: { [key: string]: Array<string> },
+  submoduleCommits: { [key: string]: Array<string> },
+  coAuthors: { [key: string]: Array<string> },
   creator: string,
   defaultOwners: Array<string>,
   repoConfig: Object,
@@ -442,8 +933,37 @@ async function guessOwners(
 ): Promise<Array<string>> {
   console.log('guessing owners');
 
-  var deletedOwners = getDeletedOwners(files, blames);
-  var allOwners = getAllOwners(files, blames);
+  var lineCredit = getLineCredit(coAuthors, repoConfig, Date.now());
+  var deletedOwners = getDeletedOwners(files, blames, lineCredit);
+  // Only parts of the files are blamed in 'ranges' mode, their history is
+  // used instead.
+  var allOwners = repoConfig.blameMode === 'ranges' ?
+    {} :
+    getAllOwners(files, blames, lineCredit);
+
+  var submoduleOwners = getHistoryOwners(submoduleCommits);
+  Object.keys(submoduleOwners).forEach(function(name) {
+    deletedOwners[name] = (deletedOwners[name] || 0) + submoduleOwners[name];
+  });
+
+  var historyOwners = getHistoryOwners(histories);
+  Object.keys(historyOwners).forEach(function(name) {
+    allOwners[name] = (allOwners[name] || 0) + historyOwners[name];
+  });
+
+  if (repoConfig.insertionContextLines > 0 &&
+      repoConfig.insertionContextWeight > 0) {
+    var insertionOwners = getInsertionOwners(
+      files,
+      blames,
+      repoConfig.insertionContextLines,
+      lineCredit
+    );
+    Object.keys(insertionOwners).forEach(function(name) {
+      deletedOwners[name] = (deletedOwners[name] || 0) +
+        insertionOwners[name] * repoConfig.insertionContextWeight;
+    });
+  }
 
   deletedOwners = getSortedOwners(deletedOwners);
   allOwners = getSortedOwners(allOwners);
@@ -505,19 +1025,540 @@ async function guessOwners(
     });
 }
 
+var manager = null;
+
+/**
+ * Settings given to the git commands run in the clones. The clone in
+ * GITHUB_DIR is set up by whoever runs the bot, it doesn't need any.
+ */
+function getGitConfig(): Array<string> {
+  if (process.env.GITHUB_DIR || !process.env.GITHUB_TOKEN) {
+    return [];
+  }
+  // Given on the command line rather than in the url so that the token
+  // isn't written in the config of the clones.
+  var credentials = Buffer.from('x-access-token:' + process.env.GITHUB_TOKEN)
+    .toString('base64');
+  return ['http.extraheader=Authorization: basic ' + credentials];
+}
+
+/**
+ * When GITHUB_DIR is set, every repository is read from that clone, like
+ * before. Otherwise a clone of each repository is kept under
+ * REPOSITORY_CACHE_DIR, with REPOSITORY_CLONE_FILTER and
+ * REPOSITORY_CLONE_DEPTH to make them smaller.
+ */
+function getRepositoryManager(): Object {
+  if (manager) {
+    return manager;
+  }
+  if (process.env.GITHUB_DIR) {
+    manager = new repositoryManager.SingleRepositoryManager(process.env.GITHUB_DIR, []);
+    return manager;
+  }
+
+  var maxAgeDays = parseFloat(process.env.REPOSITORY_MAX_AGE_DAYS || '7');
+  manager = new repositoryManager.RepositoryManager({
+    root: process.env.REPOSITORY_CACHE_DIR ||
+      require('path').join(require('os').tmpdir(), 'mention-bot-repositories'),
+    maxAge: maxAgeDays * 24 * 60 * 60 * 1000,
+    getCloneUrl: function(repoName) {
+      return (config.ghe.protocol || 'https') + '://' +
+        (config.ghe.host || 'github.com') + '/' + repoName + '.git';
+    },
+    host: config.ghe.host || 'github.com',
+    gitConfig: getGitConfig(),
+    filter: process.env.REPOSITORY_CLONE_FILTER || null,
+    depth: parseInt(process.env.REPOSITORY_CLONE_DEPTH || '0', 10) || 0,
+  });
+  return manager;
+}
+
+function getBranchRef(targetBranch: string): string {
+  return 'refs/remotes/origin/' + targetBranch;
+}
+
+// Fetched under refs/mention-bot/ so that it doesn't interfere with the
+// branches of the clone.
+function getPullHeadRef(id: number): string {
+  return 'refs/mention-bot/pull/' + id + '/head';
+}
+
+function getPullBaseRef(id: number): string {
+  return 'refs/mention-bot/pull/' + id + '/base';
+}
+
+/**
+ * Makes sure the clone of the repository has everything the job needs and
+ * returns its directory, along with the commits the target branch and the
+ * pull request were at when they were fetched.
+ */
+async function prepareRepository(
+  repoURI: string,
+  id: number,
+  targetBranch: string,
+  baseSha: ?string
+): Promise<PreparedRepository> {
+  var refspecs = ['+refs/heads/' + targetBranch + ':' + getBranchRef(targetBranch)];
+  if (process.env.DIFF_SOURCE === 'git') {
+    refspecs.push('+refs/pull/' + id + '/head:' + getPullHeadRef(id));
+  }
+  // The target branch may have moved on since the pull request was opened,
+  // GitHub serves the commits that are still reachable by their sha.
+  if (baseSha && /^[0-9a-f]{40}$/.test(baseSha)) {
+    refspecs.push('+' + baseSha + ':' + getPullBaseRef(id));
+  }
+  return getRepositoryManager().prepare(repoURI, refspecs);
+}
+
+/**
+ * Computes the diff of the pull request from the local clone instead of
+ * downloading it from the API. This isn't subject to the size limits of the
+ * API and doesn't consume any request from the rate limit.
+ * Resolves to null when the commits of the pull request couldn't be fetched,
+ * or when the history of a shallow clone doesn't go back to where it branched
+ * off.
+ */
+async function getLocalDiff(
+  repository: PreparedRepository,
+  id: number,
+  targetBranch: string
+) : Promise<?{ files: Array<FileInfo>, truncated: boolean }> {
+  console.log('Getting diff from the local clone');
+  var headCommit = repository.commits[getPullHeadRef(id)];
+  var baseCommit = repository.commits[getBranchRef(targetBranch)];
+  if (!headCommit || !baseCommit) {
+    console.error(
+      'Could not fetch the commits of pull request #' + id + ', downloading ' +
+      'its diff instead'
+    );
+    return null;
+  }
+
+  if (repository.shallowCommits.length > 0) {
+    try {
+      await git.run([
+        'merge-base', git.checkRevision(baseCommit), git.checkRevision(headCommit),
+      ], getGitOptions(repository.directory));
+    } catch (e) {
+      console.warn(
+        'Could not find where pull request #' + id + ' branched off in the ' +
+        'shallow clone: ' + e.message
+      );
+      return null;
+    }
+  }
+
+  // Same format as the diffs from the API: changes since the merge base,
+  // renames detected, a/ and b/ prefixes, no local diff configuration.
+  var parser = new diffParser.DiffParser();
+  var complete = await git.stream([
+    'diff', '--no-color', '--no-ext-diff', '--no-textconv', '--find-renames',
+    '--submodule=short', '--src-prefix=a/', '--dst-prefix=b/',
+    git.checkRevision(baseCommit) + '...' + git.checkRevision(headCommit),
+  ], getGitOptions(repository.directory), function(line) {
+    parser.push(line);
+  });
+  var files = parser.end();
+
+  return {
+    files: files,
+    truncated: parser.truncated || !complete,
+  };
+}
+
+/**
+ * The pull request may target another branch than the one checked out, so we
+ * read everything from the base commit, fetched by prepareRepository, instead
+ * of the working tree. Without it, the line numbers from the diff wouldn't
+ * match the blame.
+ * Comments on pull requests don't come with the base commit, and it can't
+ * always be fetched, the tip of the target branch is the closest we have.
+ * The sha of the commit is returned, so that the job isn't affected if
+ * another job moves the branch in the meantime.
+ */
+async function getBaseRevision(
+  repository: PreparedRepository,
+  id: number,
+  targetBranch: string,
+  baseSha: ?string
+): Promise<string> {
+  var gitDir = repository.directory;
+  var candidates = [];
+  if (baseSha) {
+    // Its ref may be left over from an earlier fetch, only the sha is sure.
+    candidates.push({
+      revision: baseSha,
+      description: 'the base commit ' + baseSha,
+    });
+  } else {
+    console.log(
+      'The base commit of #' + id + ' is unknown, using the tip of ' +
+      targetBranch
+    );
+  }
+  var branchCommit = repository.commits[getBranchRef(targetBranch)];
+  if (branchCommit) {
+    candidates.push({
+      revision: branchCommit,
+      description: 'the tip of ' + targetBranch,
+    });
+  } else {
+    console.error('Could not fetch ' + targetBranch);
+  }
+  candidates.push({revision: 'HEAD', description: 'HEAD'});
+
+  for (var i = 0; i < candidates.length; ++i) {
+    try {
+      var sha = await git.run([
+        'rev-parse', '--verify', '--quiet',
+        git.checkRevision(candidates[i].revision) + '^{commit}',
+      ], getGitOptions(gitDir));
+      return sha.trim();
+    } catch (e) {
+      console.error(
+        'Could not find ' + candidates[i].description +
+        (i + 1 < candidates.length ?
+          ', using ' + candidates[i + 1].description + ' instead' :
+          '')
+      );
+    }
+  }
+  return 'HEAD';
+}
+
+async function getGitAttributeRules(
+  gitDir: string,
+  revision: string
+): Promise<Array<Object>> {
+  var content;
+  try {
+    content = await git.run([
+      'cat-file', 'blob', git.objectName(revision, '.gitattributes'),
+    ], getGitOptions(gitDir, {maxBuffer: 1000 * 1024}));
+  } catch (e) {
+    // Most repos don't have one.
+    return [];
+  }
+  return gitAttributes.parseGitAttributes(content);
+}
+
+/**
+ * Without these, lines that are reindented or moved are credited to whoever
+ * touched them last instead of their original author:
+ *  - `blameIgnoreWhitespace` ignores whitespace changes (-w).
+ *  - `blameDetectMoves` looks for lines moved within the same file (-M).
+ *  - `blameDetectCopies` looks for lines moved or copied from other files
+ *    (-C), given `blameCopyDetectionLevel` times to also look in files that
+ *    weren't changed by the same commit.
+ * The detection options are either true or the minimum number of
+ * alphanumeric characters a block of lines needs to be considered moved.
+ */
+function getBlameOptions(repoConfig: Object): Array<string> {
+  var args = [];
+  var threshold = function(value) {
+    return typeof value === 'number' && value > 0 ?
+      String(Math.floor(value)) :
+      '';
+  };
+
+  if (repoConfig.blameIgnoreWhitespace) {
+    args.push('-w');
+  }
+  if (repoConfig.blameDetectMoves) {
+    args.push('-M' + threshold(repoConfig.blameDetectMoves));
+  }
+  if (repoConfig.blameDetectCopies) {
+    var level = Math.min(Math.max(repoConfig.blameCopyDetectionLevel || 1, 1), 3);
+    for (var i = 0; i < level; ++i) {
+      args.push('-C' + threshold(repoConfig.blameDetectCopies));
+    }
+  }
+  return args;
+}
+
+/**
+ * People who run a formatter or a codemod over the codebase would otherwise
+ * get the blame for all the lines they touched. The commits listed in the
+ * .git-blame-ignore-revs of the repository, in `ignoreRevisions`, and the
+ * commits of the checked files whose message matches one of
+ * `ignoreCommitMessagePatterns` are skipped by git blame, which credits the
+ * previous authors of those lines instead.
+ */
+async function getIgnoredRevisions(
+  gitDir: string,
+  revision: string,
+  files: Array<FileInfo>,
+  repoConfig: Object
+): Promise<Array<string>> {
+  var gitOptions = getGitOptions(gitDir, {maxBuffer: 1000 * 1024});
+  var revisions = [];
+
+  var content = null;
+  try {
+    content = await git.run([
+      'cat-file', 'blob', git.objectName(revision, '.git-blame-ignore-revs'),
+    ], gitOptions);
+  } catch (e) {
+    // Most repos don't have one.
+  }
+  if (content) {
+    content.split('\n').forEach(function(line) {
+      var sha = line.replace(/#.*$/, '').trim();
+      if (sha.match(/^([0-9a-f]{40}|[0-9a-f]{64})$/)) {
+        revisions.push(sha);
+      } else if (sha !== '') {
+        console.warn('Skipping invalid revision ' + sha + ' in .git-blame-ignore-revs');
+      }
+    });
+  }
+
+  // Unlike in .git-blame-ignore-revs, abbreviated hashes are fine here.
+  var configured = repoConfig.ignoreRevisions || [];
+  for (var i = 0; i < configured.length; ++i) {
+    try {
+      if (!configured[i].match(/^[0-9a-f]{4,64}$/)) {
+        throw new Error('not a commit hash');
+      }
+      var sha = await git.run([
+        'rev-parse', '--verify', '--quiet', configured[i] + '^{commit}',
+      ], gitOptions);
+      revisions.push(sha.trim());
+    } catch (e) {
+      console.warn('Skipping unknown revision ' + configured[i] + ' in ignoreRevisions');
+    }
+  }
+
+  var patterns = repoConfig.ignoreCommitMessagePatterns || [];
+  if (patterns.length > 0 && files.length > 0) {
+    try {
+      var output = await git.run(['log', '--format=%H', '--extended-regexp']
+        .concat(patterns.map(function(pattern) {
+          return '--grep=' + pattern;
+        }))
+        .concat([git.checkRevision(revision)]), {
+        ...gitOptions,
+        paths: files.map(function(file) {
+          return file.oldPath;
+        }),
+      });
+      output.split('\n').forEach(function(sha) {
+        if (sha !== '') {
+          revisions.push(sha);
+        }
+      });
+    } catch (e) {
+      console.warn('Could not search commits matching ignoreCommitMessagePatterns: ' + e.message);
+    }
+  }
+
+  return revisions.filter(function(sha, index) {
+    return revisions.indexOf(sha) === index;
+  });
+}
+
+/**
+ * git blame needs a file, the ignored revisions are different for every
+ * pull request and bare clones don't have a working tree to read it from.
+ * It's written in a new directory that only we can write to, other users of
+ * the temporary directory can't have put anything in its place.
+ */
+function writeIgnoreRevsFile(revisions: Array<string>): string {
+  var path = require('path');
+  var directory = fs.mkdtempSync(
+    path.join(require('os').tmpdir(), 'mention-bot-')
+  );
+  var fileName = path.join(directory, 'ignore-revs');
+  fs.writeFileSync(fileName, revisions.join('\n') + '\n', {flag: 'wx'});
+  return fileName;
+}
+
+function removeIgnoreRevsFile(fileName: string) {
+  fs.unlinkSync(fileName);
+  fs.rmdirSync(require('path').dirname(fileName));
+}
+
+/**
+ * The Co-authored-by trailers of the commits blamed, by commit.
+ */
+async function getCoAuthors(
+  gitDir: string,
+  blames: { [key: string]: Array<BlameLine> }
+): Promise<{ [key: string]: Array<string> }> {
+  var shaSet = new Set();
+  Object.keys(blames).forEach(function(path) {
+    blames[path].forEach(function(blameLine) {
+      shaSet.add(blameLine.sha);
+    });
+  });
+  var shas = Array.from(shaSet);
+
+  var coAuthors = {};
+  // Don't hit the limit on the length of the command line.
+  for (var i = 0; i < shas.length; i += 100) {
+    var output = await git.run([
+      'log', '--no-walk=unsorted', '--format=%H%n%B%x00',
+    ].concat(shas.slice(i, i + 100).map(git.checkRevision)), getGitOptions(gitDir));
+
+    output.split('\0').forEach(function(commit) {
+      var lines = commit.replace(/^\n/, '').split('\n');
+      var names = [];
+      lines.slice(1).forEach(function(line) {
+        var trailer = line.match(/^co-authored-by:.*<([^>]+)>\s*$/i);
+        if (trailer) {
+          names.push(trailer[1]);
+        }
+      });
+      if (names.length > 0) {
+        coAuthors[lines[0]] = names;
+      }
+    });
+  }
+  return coAuthors;
+}
+
+/**
+ * Sizes in bytes of the files at `revision`, read by a single git process
+ * however many files there are. Files that can't be found are left out.
+ */
+async function getFileSizes(
+  gitDir: string,
+  paths: Array<string>,
+  revision: string
+): Promise<{ [key: string]: number }> {
+  // git reads one object name per line.
+  var names = [];
+  var objectNames = [];
+  paths.forEach(function(path) {
+    try {
+      if (path.indexOf('\n') === -1) {
+        objectNames.push(git.objectName(revision, path) + '\n');
+        names.push(path);
+      }
+    } catch (e) {
+      console.warn('Skipping the size of ' + path + ': ' + e.message);
+    }
+  });
+  if (names.length === 0) {
+    return {};
+  }
+  var output = await git.run([
+    'cat-file', '--batch-check=%(objecttype) %(objectsize)',
+  ], getGitOptions(gitDir, {input: objectNames.join('')}));
+
+  // Objects that are missing are reported as `<name> missing`, in order.
+  var sizes = {};
+  output.split('\n').slice(0, names.length).forEach(function(line, index) {
+    var matches = line.match(/^blob ([0-9]+)$/);
+    if (matches) {
+      sizes[names[index]] = +matches[1];
+    }
+  });
+  return sizes;
+}
+
+/**
+ * There are going to be degenerated changes that end up modifying hundreds
+ * of files. In theory, it would be good to actually run the algorithm on
+ * all of them to get the best set of reviewers. In practice, we don't
+ * want to run hundreds of blames. Using the top 5 files is enough to get us
+ * 3 people that may have context.
+ *
+ * `fileSelectionStrategy` decides what the top files are:
+ *  - 'deletions': the most deleted lines, those are the most precise signal.
+ *  - 'churn': the most added and deleted lines.
+ *  - 'proportion': the biggest part of the original file changed, a small
+ *    file that is rewritten matters more than a few lines in a huge one.
+ *    Files are measured in bytes, which doesn't require reading them.
+ * There is nothing to blame in new files, they come last with 'churn' and
+ * 'proportion'. So do binary files and submodules, which don't have lines.
+ */
+async function selectFilesToCheck(
+  gitDir: ?string,
+  files: Array<FileInfo>,
+  revision: string,
+  repoConfig: Object
+): Promise<Array<FileInfo>> {
+  var strategy = repoConfig.fileSelectionStrategy || 'deletions';
+  var sizes = {};
+  if (strategy === 'proportion' && gitDir) {
+    var paths = files.filter(function(file) {
+      return file.changeType !== 'added';
+    }).map(function(file) {
+      return file.oldPath;
+    });
+    try {
+      sizes = await getFileSizes(gitDir, paths, revision);
+    } catch (e) {
+      console.warn('Could not get the sizes of the files: ' + e.message);
+    }
+  }
+
+  var scores = new Map();
+  files.forEach(function(file) {
+    var changedLines = file.addedLineCount + file.deletedLines.length;
+    var score = file.deletedLines.length;
+    if (strategy === 'churn') {
+      score = file.changeType === 'added' ? 0 : changedLines;
+    } else if (strategy === 'proportion') {
+      score = 0;
+      if (file.changeType !== 'added' && sizes[file.oldPath] !== undefined) {
+        score = changedLines / Math.max(sizes[file.oldPath], 1);
+      }
+    }
+    scores.set(file, score);
+  });
+
+  return files.slice().sort(function(a, b) {
+    var countA = scores.get(a);
+    var countB = scores.get(b);
+    return countA > countB ? -1 : (countA < countB ? 1 : 0);
+  }).slice(0, repoConfig.numFilesToCheck);
+}
+
 async function getDiff(
+  repository: ?PreparedRepository,
   repoURI: string,
   id: int,
+  targetBranch: string,
   config: Object
-) : Promise<Array<string>> {
+) : Promise<{ files: Array<FileInfo>, truncated: boolean }> {
+  if (repository && process.env.DIFF_SOURCE === 'git') {
+    var localDiff = await getLocalDiff(repository, id, targetBranch);
+    if (localDiff) {
+      return localDiff;
+    }
+  }
+
   console.log('Getting diff');
   var apiUrl = (config.ghe.protocol || 'https') + '://' + (config.ghe.host || 'api.github.com') + (config.ghe.pathPrefix || '') + '/';
   var pullUrl = apiUrl + 'repos/' + repoURI + '/pulls/' + id;
-  
-  return fetch(pullUrl, [
+
+  // The diff is parsed while it is being downloaded, so that huge pull
+  // requests don't have to fit in memory.
+  var parser = new diffParser.DiffParser();
+  var isDiff = null;
+  var complete = await fetchLines(pullUrl, [
     'Accept: application/vnd.github.v3.diff',
     'Authorization: token ' + process.env.GITHUB_TOKEN
-  ]);
+  ], function(line) {
+    if (isDiff === null) {
+      isDiff = line.substr(0, 4) === 'diff';
+    }
+    parser.push(line);
+  });
+  var files = parser.end();
+
+  // The API answers with an error in JSON instead of the diff when the pull
+  // request is too big, sometimes without an error status.
+  if (isDiff === false) {
+    console.error('The diff of ' + repoURI + '#' + id + ' is not a diff');
+  }
+
+  return {
+    files: files,
+    truncated: parser.truncated || !complete || isDiff === false,
+  };
 }
 
 async function guessOwnersForPullRequest(
@@ -526,60 +1567,298 @@ async function guessOwnersForPullRequest(
   creator: string,
   targetBranch: string,
   repoConfig: Object,
-  github: Object
+  github: Object,
+  baseSha: ?string
 ): Promise<Array<string>> {
   console.log('guessing owners for PR');
-  var diff = await getDiff(repoURI, id, config);
-  var files = parseDiff(diff);
-  var defaultOwners = getDefaultOwners(files, repoConfig.alwaysNotifyForPaths);
+  var provider = getBlameProvider();
+  // The clone isn't needed when all there is to do is to download the diff.
+  var repository = null;
+  if (process.env.DIFF_SOURCE === 'git' ||
+      (repoConfig.findPotentialReviewers && provider.usesClone)) {
+    try {
+      repository = await prepareRepository(repoURI, id, targetBranch, baseSha);
+    } catch (e) {
+      // The diff can still be downloaded and the reviewers from the config
+      // mentioned.
+      console.error('Could not prepare the clone of ' + repoURI + ': ' + e.message);
+    }
+  }
+
+  try {
+    return await guessOwnersWithRepository(
+      repository,
+      provider,
+      repoURI,
+      id,
+      creator,
+      targetBranch,
+      repoConfig,
+      github,
+      baseSha
+    );
+  } finally {
+    if (repository) {
+      getRepositoryManager().release(repository);
+    }
+  }
+}
+
+// The clone, if there is one, can't be pruned while this runs.
+async function guessOwnersWithRepository(
+  repository: ?PreparedRepository,
+  provider: BlameProvider,
+  repoURI: string,
+  id: number,
+  creator: string,
+  targetBranch: string,
+  repoConfig: Object,
+  github: Object,
+  baseSha: ?string
+): Promise<Array<string>> {
+  var diff = await getDiff(repository, repoURI, id, targetBranch, config);
+  var files = diff.files;
+  if (diff.truncated) {
+    // We still go on with the files that have been fully parsed, they are
+    // better than nothing.
+    console.error(
+      'The diff of ' + repoURI + '#' + id + ' has been truncated, only ' +
+      files.length + ' files could be parsed'
+    );
+  }
+  var defaultOwners = getDefaultOwners(files, repoConfig.alwaysNotifyForPaths)
+    .concat(getSubmoduleOwners(files, repoConfig.submoduleOwners))
+    .filter(function(owner, index, ownersFound) {
+      return ownersFound.indexOf(owner) === index;
+    });
 
   if (!repoConfig.findPotentialReviewers) {
       return defaultOwners;
   }
-
-  // There are going to be degenerated changes that end up modifying hundreds
-  // of files. In theory, it would be good to actually run the algorithm on
-  // all of them to get the best set of reviewers. In practice, we don't
-  // want to do hundreds of http requests. Using the top 5 files is enough
-  // to get us 3 people that may have context.
-  files.sort(function(a, b) {
-    var countA = a.deletedLines.length;
-    var countB = b.deletedLines.length;
-    return countA > countB ? -1 : (countA < countB ? 1 : 0);
+  if (!repository && provider.usesClone) {
+    console.error('Skipping blames because there is no clone of ' + repoURI);
+    return defaultOwners;
+  }
+  var repoDir = repository ? repository.directory : null;
+  var shallowCommits = repository ? repository.shallowCommits : [];
+
+  // Without a clone, the provider is trusted to find the revision.
+  var revision = repository ?
+    await getBaseRevision(repository, id, targetBranch, baseSha) :
+    baseSha || targetBranch;
+
+  // Submodules listed in the config are taken care of here, the others are
+  // treated like binary files below.
+  var submoduleConfig = repoConfig.submoduleOwners || {};
+  var submoduleCommits = {};
+  var submodulePromises = files.filter(function(file) {
+    return file.submodule && submoduleConfig[file.path] === 'commits';
+  }).map(function(file) {
+    if (!repository) {
+      return Promise.resolve();
+    }
+    return getSubmoduleCommitAuthors(
+      repoURI,
+      repository,
+      revision,
+      file,
+      repoConfig.maxHistoryCommits
+    ).then(function(authors) {
+      submoduleCommits[file.path] = authors;
+    }, function(error) {
+      console.warn(
+        'Could not read the commits of submodule ' + file.path + ': ' +
+        error.message
+      );
+    });
   });
+  await Promise.all(submodulePromises);
+  files = files.filter(function(file) {
+    return !file.submodule || !submoduleConfig[file.path];
+  });
+
   // remove files that match any of the globs in the file blacklist config
   repoConfig.fileBlacklist.forEach(function(glob) {
     files = files.filter(function(file) {
       return !minimatch(file.path, glob);
     });
   });
-  files = files.slice(0, repoConfig.numFilesToCheck);
+  // remove generated and vendored files, as marked in .gitattributes
+  if (repoConfig.useGitAttributes && repoDir) {
+    var attributeRules = await getGitAttributeRules(repoDir, revision);
+    files = files.filter(function(file) {
+      return !gitAttributes.isIgnoredByAttributes(attributeRules, file.path);
+    });
+  }
+  files = await selectFilesToCheck(repoDir, files, revision, repoConfig);
+
+  var blameOptions = getBlameOptions(repoConfig);
+  var ignoredRevisions = repoDir ?
+    await getIgnoredRevisions(repoDir, revision, files, repoConfig) :
+    [];
+  var blameContext = {
+    repository: repositoryManager.getRepositoryName(repoURI),
+    gitDir: repoDir,
+    shallowCommits: shallowCommits,
+    revision: revision,
+    args: blameOptions.slice(),
+    timeout: getBlameTimeout(),
+    cacheKey: revision === 'HEAD' ? null : {
+      repository: repoURI,
+      revision: revision,
+      options: blameOptions,
+      ignoredRevisions: ignoredRevisions,
+    },
+  };
+  var ignoreRevsFile = null;
+  if (ignoredRevisions.length > 0) {
+    console.log('Ignoring ' + ignoredRevisions.length + ' revisions in blames');
+    ignoreRevsFile = writeIgnoreRevsFile(ignoredRevisions);
+    blameContext.args.push('--ignore-revs-file', ignoreRevsFile);
+  }
 
   console.log('Getting blames');
 
   var blames = {};
+  var histories = {};
+  // Files that couldn't be blamed, and why.
+  var failures = [];
+  var recordFailure = function(file, error, note) {
+    // The last line of git's output says what went wrong.
+    var reason = error.timedOut ? 'timed out' : String(error.message)
+      .split('\n')
+      .filter(function(line) {
+        return line.trim() !== '';
+      })
+      .pop();
+    failures.push({path: file.path, reason: reason + (note || '')});
+  };
+  var getFileHistory = function(file) {
+    if (!repoDir) {
+      return Promise.resolve();
+    }
+    return getHistory(
+      repoDir,
+      file.oldPath,
+      revision,
+      repoConfig.maxHistoryCommits,
+      shallowCommits
+    ).then(function(history) {
+      histories[file.path] = history;
+    });
+  };
+
   // create blame promises (allows concurrent loading)
   var promises = files.map(function(file) {
-    return getBlame(file.path);
+    // New files don't exist in the base commit, there is nothing to find out
+    // about them.
+    if (file.changeType === 'added') {
+      return Promise.resolve();
+    }
+
+    // There is nothing to blame in binary files and submodules, the people
+    // that recently committed them are the next best thing.
+    if (file.binary || file.submodule) {
+      return getFileHistory(file);
+    }
+
+    // Blaming whole files is slow when they are big, in 'ranges' mode only
+    // the lines around the changes are blamed and the history of the file
+    // stands for the whole file blame.
+    if (repoConfig.blameMode === 'ranges') {
+      return Promise.all([
+        getFileHistory(file),
+        getRangeBlame(
+          provider,
+          blameContext,
+          file,
+          repoConfig.insertionContextLines
+        ).then(function(blame) {
+          blames[file.path] = blame;
+        }, function(error) {
+          recordFailure(file, error);
+        }),
+      ]);
+    }
+
+    // Renamed and copied files are blamed where they come from so that the
+    // people who wrote the original code are still credited.
+    return blameInPool(provider, blameContext, file.oldPath).then(function(blame) {
+      blames[file.path] = blame;
+    }, function(error) {
+      // Whatever made git blame this slow is likely to make git log slow
+      // too.
+      if (error.timedOut) {
+        recordFailure(file, error);
+        return;
+      }
+      recordFailure(file, error, repoDir ? ', used its history instead' : '');
+      return getFileHistory(file);
+    });
+  }).map(function(promise, index) {
+    // A single file going wrong shouldn't prevent finding reviewers with the
+    // others.
+    return promise.catch(function(error) {
+      recordFailure(files[index], error);
+    });
   });
 
   // wait for all promises to resolve
-  var results = await Promise.all(promises);
+  try {
+    await Promise.all(promises);
+  } finally {
+    if (ignoreRevsFile) {
+      removeIgnoreRevsFile(ignoreRevsFile);
+    }
+  }
 
-  console.log('Parsing blames');
+  if (failures.length > 0) {
+    console.warn(
+      'Could not blame ' + failures.length + ' of the ' + files.length +
+      ' files of ' + repoURI + '#' + id + ':\n' +
+      failures.map(function(failure) {
+        return '  ' + failure.path + ': ' + failure.reason;
+      }).join('\n')
+    );
+  }
 
-  results.forEach(function(result, index) {
-    blames[files[index].path] = parseBlame(result);
-  });
+  var blameCache = getBlameCache();
+  if (blameCache) {
+    console.log(
+      'Blame cache: ' + blameCache.hits + ' hits, ' + blameCache.misses +
+      ' misses since the bot started'
+    );
+  }
+
+  var coAuthors = {};
+  if (repoDir && repoConfig.coAuthorCredit && repoConfig.coAuthorCredit !== 'none') {
+    try {
+      coAuthors = await getCoAuthors(repoDir, blames);
+    } catch (e) {
+      console.warn('Could not read the co-authors of the blamed commits: ' + e.message);
+    }
+  }
 
   // This is the line that implements the actual algorithm, all the lines
   // before are there to fetch and extract the data needed.
-  return guessOwners(files, blames, creator, defaultOwners, repoConfig, github);
+  return guessOwners(
+    files,
+    blames,
+    histories,
+    submoduleCommits,
+    coAuthors,
+    creator,
+    defaultOwners,
+    repoConfig,
+    github
+  );
 }
 
 module.exports = {
   enableCachingForDebugging: false,
-  parseDiff: parseDiff,
+  blameProvider: (null: ?BlameProvider),
+  parseDiff: diffParser.parseDiff,
   parseBlame: parseBlame,
+  parseBlamePorcelain: blameParser.parseBlamePorcelain,
   guessOwnersForPullRequest: guessOwnersForPullRequest,
 };
@@ -0,0 +1,464 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ */
+
+'use strict';
+
+var directories = require('./directories.js');
+var fs = require('fs');
+var git = require('./git.js');
+var path = require('path');
+
+// Touched every time a clone is used, its modification time tells us which
+// clones can be pruned.
+var LAST_USED_FILE = 'mention-bot-last-used';
+var PRUNE_INTERVAL = 60 * 60 * 1000;
+// Cloning a big repository takes much longer than the other git commands.
+var CLONE_TIMEOUT = 30 * 60 * 1000;
+var FETCH_TIMEOUT = 10 * 60 * 1000;
+// A repository that couldn't be cloned, because the bot doesn't have access to
+// it for example, isn't tried again before that many milliseconds.
+var CLONE_RETRY_DELAY = 30 * 60 * 1000;
+
+type RepositoryManagerOptions = {
+  // Directory under which a bare clone of each repository is kept.
+  root: string,
+  // Clones that haven't been used for that many milliseconds are deleted.
+  maxAge: number,
+  // Builds the url to clone 'owner/repo' from.
+  getCloneUrl: (repoURI: string) => string,
+  // Host of the urls built by getCloneUrl, submodules hosted anywhere else
+  // aren't cloned.
+  host: string,
+  // `name=value` settings given to git for clone and fetch, authentication
+  // headers for example.
+  gitConfig: Array<string>,
+  // Objects left out of the clones, 'blob:none' for example. They are
+  // fetched when a command needs them.
+  filter?: ?string,
+  // Number of commits of history to fetch, 0 for the whole history.
+  depth?: number,
+};
+
+export type PreparedRepository = {
+  directory: string,
+  // The commit each fetched ref pointed to right after the fetch, or null if
+  // it couldn't be fetched. Jobs must read from these commits rather than
+  // from the refs, which other jobs may move at any time.
+  commits: { [ref: string]: ?string },
+  // The commits at which the history of a shallow clone has been cut off.
+  shallowCommits: Array<string>,
+};
+
+// Fetches into the same clone are made one after the other, see withLock.
+var locks: { [directory: string]: Promise<void> } = {};
+
+/**
+ * 'fbsamples/bot-testing', 'https://github.com/fbsamples/bot-testing' or
+ * 'git@github.com:fbsamples/bot-testing.git' become 'fbsamples/bot-testing'.
+ */
+function getRepositoryName(repoURI: string): string {
+  var parts = repoURI.replace(/^[\w.-]+@[\w.-]+:/, '').replace(/\/+$/, '').replace(/\.git$/, '').split('/').filter(function(part) {
+    return part !== '';
+  }).slice(-2);
+  if (parts.length !== 2) {
+    throw new Error('Invalid repository ' + repoURI);
+  }
+  return parts.join('/');
+}
+
+/**
+ * 'https://github.com/owner/repo', 'ssh://git@github.com/owner/repo' and
+ * 'git@github.com:owner/repo' are all on 'github.com'. Local paths aren't on
+ * any host.
+ */
+function getRepositoryHost(url: string): ?string {
+  var matches = url.match(/^[a-z][a-z0-9+.-]*:\/\/(?:[^@\/]*@)?([^\/:]+)/i) ||
+    url.match(/^[\w.-]+@([\w.-]+):/);
+  return matches ? matches[1].toLowerCase() : null;
+}
+
+/**
+ * Runs `callback` once all the previous callbacks for `directory` are done.
+ * Two jobs fetching the same branch at the same time would otherwise fail to
+ * lock its ref, and one could see the ref move between its fetch and the
+ * moment it reads it.
+ */
+function withLock<T>(directory: string, callback: () => Promise<T>): Promise<T> {
+  var previous = locks[directory] || Promise.resolve();
+  var result = previous.then(callback);
+  var done = result.then(function() {}, function() {});
+  locks[directory] = done;
+  done.then(function() {
+    if (locks[directory] === done) {
+      delete locks[directory];
+    }
+  });
+  return result;
+}
+
+// Failing to fetch isn't fatal, the refs that are already there may be enough.
+async function fetchRefs(
+  directory: string,
+  refspecs: Array<string>,
+  gitConfig: Array<string>,
+  depth: number
+): Promise<void> {
+  if (refspecs.length === 0) {
+    return;
+  }
+  console.log('Fetching ' + refspecs.join(' ') + ' in ' + directory);
+  var args = ['fetch', '--quiet'];
+  if (depth > 0) {
+    args.push('--depth=' + depth);
+  }
+  try {
+    await git.run(args.concat(['origin'], refspecs), {
+      cwd: directory,
+      config: gitConfig,
+      timeout: FETCH_TIMEOUT,
+    });
+  } catch (e) {
+    if (refspecs.length === 1) {
+      console.error('Could not fetch ' + refspecs[0] + ': ' + e.message);
+      return;
+    }
+    // A single ref that is gone, or a commit the server won't serve,
+    // shouldn't prevent the others from being fetched.
+    console.error(
+      'Could not fetch ' + refspecs.join(' ') + ', fetching them one at a ' +
+      'time: ' + e.message
+    );
+    for (var i = 0; i < refspecs.length; ++i) {
+      await fetchRefs(directory, [refspecs[i]], gitConfig, depth);
+    }
+  }
+}
+
+// Shallow clones list the commits their history stops at in a `shallow`
+// file, which isn't there for the others.
+async function getShallowCommits(directory: string): Promise<Array<string>> {
+  try {
+    var file = await git.run(['rev-parse', '--git-path', 'shallow'], {cwd: directory});
+    return fs.readFileSync(path.resolve(directory, file.trim()), 'utf8')
+      .split('\n')
+      .filter(function(sha) {
+        return sha !== '';
+      });
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Fetches `refspecs` and resolves the refs they were fetched into to
+ * commits, without letting any other job fetch into the clone in between.
+ */
+function fetchCommits(
+  directory: string,
+  refspecs: Array<string>,
+  gitConfig: Array<string>,
+  depth: number
+): Promise<PreparedRepository> {
+  return withLock(directory, async function() {
+    await fetchRefs(directory, refspecs, gitConfig, depth);
+
+    var commits = {};
+    for (var i = 0; i < refspecs.length; ++i) {
+      var ref = refspecs[i].split(':')[1];
+      try {
+        var sha = await git.run([
+          'rev-parse', '--verify', '--quiet', git.checkRevision(ref) + '^{commit}',
+        ], {cwd: directory});
+        commits[ref] = sha.trim();
+      } catch (e) {
+        commits[ref] = null;
+      }
+    }
+    return {
+      directory: directory,
+      commits: commits,
+      shallowCommits: await getShallowCommits(directory),
+    };
+  });
+}
+
+/**
+ * Webhooks can be installed for a whole organization, so the bot needs a
+ * clone of every repository it receives events for. Each repository is cloned
+ * the first time it's needed under `root`/owner/repo, the refs a job needs
+ * are fetched before it starts, and clones that haven't been used for a while
+ * are deleted to save disk space.
+ *
+ * When GITHUB_DIR is set, the bot only works with that single clone, nothing
+ * is cloned or pruned, see SingleRepositoryManager.
+ */
+class RepositoryManager {
+  options: RepositoryManagerOptions;
+  _clones: { [key: string]: Promise<void> };
+  _failedClones: { [key: string]: number };
+  // Number of jobs using each clone, which mustn't be pruned under them.
+  _active: { [key: string]: number };
+  // Clones being deleted, which can't be used or cloned again until then.
+  _removals: { [key: string]: Promise<void> };
+  _lastPrune: number;
+
+  constructor(options: RepositoryManagerOptions) {
+    this.options = options;
+    this._clones = {};
+    this._failedClones = {};
+    this._active = {};
+    this._removals = {};
+    this._lastPrune = 0;
+  }
+
+  getDirectory(repoURI: string): string {
+    var parts = getRepositoryName(repoURI).split('/').map(function(part) {
+      return part.replace(/[^a-zA-Z0-9-_\.]/g, '-').replace(/^\.+/, '-');
+    });
+    return path.join(this.options.root, parts[0], parts[1]);
+  }
+
+  /**
+   * Makes sure the repository is cloned and fetches `refspecs` into it.
+   * Resolves to the directory of the clone and the fetched commits.
+   * The clone isn't pruned until the job gives it back with `release`.
+   */
+  async prepare(
+    repoURI: string,
+    refspecs: Array<string>
+  ): Promise<PreparedRepository> {
+    var directory = this.getDirectory(repoURI);
+    this._active[directory] = (this._active[directory] || 0) + 1;
+    var repository;
+    try {
+      await this._clone(repoURI, directory);
+      fs.writeFileSync(path.join(directory, LAST_USED_FILE), String(Date.now()));
+
+      repository = await fetchCommits(
+        directory,
+        refspecs,
+        this.options.gitConfig,
+        this.options.depth || 0
+      );
+    } catch (e) {
+      this._release(directory);
+      throw e;
+    }
+
+    this._pruneIfNeeded(directory);
+    return repository;
+  }
+
+  release(repository: PreparedRepository) {
+    this._release(repository.directory);
+  }
+
+  _release(directory: string) {
+    if (--this._active[directory] <= 0) {
+      delete this._active[directory];
+    }
+  }
+
+  /**
+   * Submodules are cloned like any other repository. Their url in
+   * .gitmodules can be relative to the repository they are used in. Those on
+   * another host are left alone: the repository with the same name on
+   * GitHub, if any, is unrelated.
+   */
+  prepareSubmodule(
+    repoURI: string,
+    submodulePath: string,
+    url: string,
+    refspecs: Array<string>
+  ): Promise<PreparedRepository> {
+    if (url.match(/^\.\.?\//)) {
+      url = path.posix.join(getRepositoryName(repoURI), url);
+    } else if (
+      getRepositoryHost(url) !==
+      this.options.host.toLowerCase().replace(/:[0-9]+$/, '')
+    ) {
+      return Promise.reject(new Error(
+        'Not cloning ' + url + ', only the repositories on ' +
+        this.options.host + ' are cloned'
+      ));
+    }
+    return this.prepare(url, refspecs);
+  }
+
+  // Two events for the same repository can arrive at the same time, only one
+  // of them must clone it.
+  async _clone(repoURI: string, directory: string): Promise<void> {
+    var failedAt = this._failedClones[directory];
+    if (failedAt && Date.now() - failedAt < CLONE_RETRY_DELAY) {
+      throw new Error(
+        'Not cloning ' + repoURI + ' again, it failed ' +
+        Math.round((Date.now() - failedAt) / 60000) + ' minutes ago'
+      );
+    }
+    if (!this._clones[directory]) {
+      this._clones[directory] = this._cloneIfMissing(repoURI, directory);
+      this._clones[directory].then(() => {
+        delete this._failedClones[directory];
+      }, () => {
+        this._failedClones[directory] = Date.now();
+      }).then(() => {
+        delete this._clones[directory];
+      });
+    }
+    return this._clones[directory];
+  }
+
+  async _cloneIfMissing(repoURI: string, directory: string): Promise<void> {
+    if (this._removals[directory]) {
+      try {
+        await this._removals[directory];
+      } catch (e) {
+        // What is left of it is removed below.
+      }
+    }
+    if (fs.existsSync(path.join(directory, LAST_USED_FILE))) {
+      return;
+    }
+    // A previous clone may have been interrupted.
+    await this._remove(directory);
+
+    console.log('Cloning ' + repoURI + ' into ' + directory);
+    await directories.makeDirectory(path.dirname(directory));
+    var args = ['clone', '--quiet', '--bare'];
+    if (this.options.filter) {
+      args.push('--filter=' + this.options.filter);
+    }
+    if (this.options.depth) {
+      args.push('--depth=' + this.options.depth);
+    }
+    await git.run(args.concat([
+      '--', this.options.getCloneUrl(getRepositoryName(repoURI)), directory,
+    ]), {
+      cwd: path.dirname(directory),
+      config: this.options.gitConfig,
+      timeout: CLONE_TIMEOUT,
+    });
+    fs.writeFileSync(path.join(directory, LAST_USED_FILE), String(Date.now()));
+  }
+
+  _pruneIfNeeded(currentDirectory: string) {
+    var now = Date.now();
+    if (now - this._lastPrune < PRUNE_INTERVAL) {
+      return;
+    }
+    this._lastPrune = now;
+
+    this._listClones().forEach((directory) => {
+      if (
+        directory === currentDirectory ||
+        this._clones[directory] ||
+        this._active[directory] ||
+        this._removals[directory]
+      ) {
+        return;
+      }
+      var lastUsed;
+      try {
+        lastUsed = fs.statSync(path.join(directory, LAST_USED_FILE)).mtime.getTime();
+      } catch (e) {
+        // Still being cloned, or not one of ours.
+        return;
+      }
+      if (now - lastUsed > this.options.maxAge) {
+        console.log('Pruning ' + directory + ', unused since ' + new Date(lastUsed));
+        this._remove(directory).catch(function(e) {
+          console.error('Could not prune ' + directory + ': ' + e.message);
+        });
+      }
+    });
+  }
+
+  _remove(directory: string): Promise<void> {
+    if (!this._removals[directory]) {
+      var removal = directories.removeDirectory(directory);
+      var done = () => {
+        delete this._removals[directory];
+      };
+      removal.then(done, done);
+      this._removals[directory] = removal;
+    }
+    return this._removals[directory];
+  }
+
+  _listClones(): Array<string> {
+    var root = this.options.root;
+    var clones = [];
+    readDirectory(root).forEach(function(owner) {
+      readDirectory(path.join(root, owner)).forEach(function(repo) {
+        clones.push(path.join(root, owner, repo));
+      });
+    });
+    return clones;
+  }
+}
+
+/**
+ * Always uses the same existing clone, whatever the repository. Its working
+ * tree is never used, so it can have any branch checked out.
+ */
+class SingleRepositoryManager {
+  directory: string;
+  gitConfig: Array<string>;
+
+  constructor(directory: string, gitConfig: Array<string>) {
+    this.directory = directory;
+    this.gitConfig = gitConfig;
+  }
+
+  async prepare(
+    repoURI: string,
+    refspecs: Array<string>
+  ): Promise<PreparedRepository> {
+    // The clone may be shallow, but it's up to its owner to deepen it.
+    return fetchCommits(this.directory, refspecs, this.gitConfig, 0);
+  }
+
+  // Nothing is ever pruned.
+  release(repository: PreparedRepository) {}
+
+  /**
+   * Submodules have to be checked out in the clone. The commits of an update
+   * are usually not there yet, they are fetched from the remote of the
+   * submodule.
+   */
+  prepareSubmodule(
+    repoURI: string,
+    submodulePath: string,
+    url: string,
+    refspecs: Array<string>
+  ): Promise<PreparedRepository> {
+    return fetchCommits(
+      git.resolvePath(this.directory, submodulePath),
+      refspecs,
+      this.gitConfig,
+      0
+    );
+  }
+}
+
+function readDirectory(directory: string): Array<string> {
+  try {
+    return fs.readdirSync(directory);
+  } catch (e) {
+    return [];
+  }
+}
+
+module.exports = {
+  RepositoryManager: RepositoryManager,
+  SingleRepositoryManager: SingleRepositoryManager,
+  getRepositoryName: getRepositoryName,
+};
@@ -21,11 +21,6 @@ var GitHubApi = require('github');
 
 var CONFIG_PATH = '.mention-bot';
 
-if (!process.env.GITHUB_DIR) {
-  console.error('The bot was started without a github directory specified.');
-  process.exit(1);
-}
-
 if (!process.env.GITHUB_TOKEN) {
   console.error('The bot was started without a github account to post with.');
   console.error('To get started:');
@@ -117,10 +112,25 @@ async function work(body) {
   var repoConfig = {
     maxReviewers: 5,
     numFilesToCheck: 5,
+    fileSelectionStrategy: 'deletions',
+    blameMode: 'full',
+    blameIgnoreWhitespace: false,
+    blameDetectMoves: false,
+    blameDetectCopies: false,
+    blameCopyDetectionLevel: 1,
+    ignoreRevisions: [],
+    ignoreCommitMessagePatterns: [],
+    coAuthorCredit: 'none',
+    ownershipHalfLifeDays: 0,
+    insertionContextLines: 3,
+    insertionContextWeight: 0,
+    maxHistoryCommits: 10,
+    submoduleOwners: {},
     userBlacklist: [],
     userBlacklistForPR: [],
     userWhitelist: [],
     fileBlacklist: [],
+    useGitAttributes: true,
     requiredOrgs: [],
     findPotentialReviewers: true,
     actions: ['opened'],
@@ -215,7 +225,8 @@ async function work(body) {
     creator.login, // 'mention-bot'
     pullRequest.base ? pullRequest.base.ref : 'master', // 'master'
     repoConfig,
-    github
+    github,
+    pullRequest.base ? pullRequest.base.sha : null // 'a72662b641dbaa4c12f86fd7c5f3e50148df3d0e'
   );
 
   console.log(pullRequest.html_url, reviewers);
@@ -241,7 +252,12 @@ async function work(body) {
 
 app.post('/', function(req, res) {
   req.pipe(bl(function(err, body) {
-    work(body).then(function() { res.end(); });
+    work(body).then(function() { res.end(); }, function(error) {
+      // Nothing the person who opened the pull request can do about it, the
+      // webhook still succeeded from GitHub's point of view.
+      console.error('Could not process the event', error.stack || error);
+      res.end();
+    });
  }));
 });
 
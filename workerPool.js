@@ -0,0 +1,51 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ */
+
+'use strict';
+
+/**
+ * Runs at most `concurrency` tasks at the same time, the others wait in line
+ * in the order they were given.
+ */
+class WorkerPool {
+  concurrency: number;
+  _running: number;
+  _queue: Array<() => void>;
+
+  constructor(concurrency: number) {
+    this.concurrency = Math.max(concurrency, 1);
+    this._running = 0;
+    this._queue = [];
+  }
+
+  run<T>(task: () => Promise<T>): Promise<T> {
+    return new Promise((resolve, reject) => {
+      var start = () => {
+        this._running++;
+        Promise.resolve().then(task).then(resolve, reject).then(() => {
+          this._running--;
+          var next = this._queue.shift();
+          if (next) {
+            next();
+          }
+        });
+      };
+
+      if (this._running < this.concurrency) {
+        start();
+      } else {
+        this._queue.push(start);
+      }
+    });
+  }
+}
+
+module.exports = WorkerPool;